@@ -91,6 +91,13 @@ console.log(typeof NaN);        // "number" → Not a Number but still number ty
 console.log(typeof undefined);  // "undefined"
 console.log(typeof null);       // "object" (legacy bug)
 
+// Fix: lib/inspect.js → typeOf gives a precise tag for every value
+const { typeOf, describeValue } = require("../../lib/inspect");
+console.log(typeOf(NaN));       // "NaN"
+console.log(typeOf(null));      // "null"
+console.log(typeOf([1, 2]));    // "array"
+console.log(typeOf(new Map())); // "Map"
+
 // --------------------------------------------------------
 // 5. Template Literals
 // --------------------------------------------------------
@@ -146,7 +153,10 @@ let remainder = 17 % 3; // Q7 remainder
 let powerExp = 2 ** 5; // Q8 power
 let powerMath = Math.pow(2, 5);
 
-let randomNum = Math.floor(Math.random() * 10) + 1; // Q9 random 1–10
+// Q9 random 1–10 → seedable generator, SEED=42 gives the same number every run
+const { createRandom } = require("../../lib/random");
+const random = createRandom(process.env.SEED);
+let randomNum = random.int(1, 10); // was Math.floor(Math.random() * 10) + 1
 let converted = Number("123") + 10; // Q10 convert string to number
 
 // ---- Booleans ----
@@ -170,9 +180,13 @@ let typeUndefined = typeof valueUndefined;
 // EXTRA MINI CHALLENGES
 // ========================================================
 
+// Shared Unicode-aware helpers (see lib/strings.js)
+const strings = require("../../lib/strings");
+
 // Challenge 1: Reverse a string
+// split("") breaks emoji & accents → reverse grapheme clusters instead.
 function reverseString(str) {
-  return str.split("").reverse().join("");
+  return strings.reverse(str);
 }
 let reversed = reverseString("JavaScript"); // "tpircSavaJ"
 
@@ -189,20 +203,28 @@ function maxOfTwo(a, b) {
 let largest = maxOfTwo(10, 20); // 20
 
 // Challenge 4: Count vowels in a string
-function countVowels(str) {
-  return (str.match(/[aeiou]/gi) || []).length;
+// [aeiou] misses accented letters → "Amélie" has 4 vowels, not 3.
+function countVowels(str, locale) {
+  return strings.countVowels(str, locale);
 }
 let vowelsCount = countVowels("JavaScript"); // 3
 
 // Challenge 5: Convert Celsius to Fahrenheit
+// Formula: celsius * 9/5 + 32 → now one unit pair of lib/units.js
+const { convert } = require("../../lib/units");
 function celsiusToFahrenheit(celsius) {
-  return celsius * 9/5 + 32;
+  return convert(celsius, "°C", "°F");
 }
 let tempF = celsiusToFahrenheit(30); // 86
+// convert(5, "km", "mi") / evaluate("30 °C to F") work the same way.
 
 // ========================================================
 // TRICK QUESTIONS (JS Gotchas)
 // ========================================================
+// Want the "why"? lib/coercion.js replays the spec steps:
+//   node lib/coercion.js '"5"' + 5
+//   node lib/coercion.js null == undefined
+const { explain, formatTrace } = require("../../lib/coercion");
 
 // Q1: "5" + 5 = ?
 let trick1 = "5" + 5; // "55" (string concatenation)
@@ -227,4 +249,7 @@ let trick6 = typeof NaN; // "number" → NaN means Not a Number but type is numb
 // TIP: Uncomment to test
 // console.log(reversed, checkEven, largest, vowelsCount, tempF);
 // console.log(trick1, trick2, trick3, trick4, trick5, trick6);
+// console.log(formatTrace(explain("5", "+", 5)));
+// console.log(formatTrace(explain(null, "==", undefined)));
 // console.log(intro);
+// console.log(describeValue({ name, age, scores: [1, 2, 3], at: new Date() }));
@@ -65,11 +65,17 @@ let g2 = greetUser("Rohan"); // "Welcome, Rohan"
 // 5. Rest Operator (...)
 // --------------------------------------------------------
 // Collects multiple arguments into an array.
+// Optional trailing { mode } → "number" (default), "bigint" or "decimal"
+// (exact, see lib/exact.js): sumAll(0.1, 0.2, { mode: "decimal" }) → 0.3
 
-function sumAll(...nums) {
-  return nums.reduce((total, n) => total + n, 0);
+const exact = require("../../lib/exact");
+
+function sumAll(...args) {
+  const [nums, options] = exact.splitOptions(args);
+  return exact.sum(nums, options);
 }
 let total = sumAll(1, 2, 3, 4, 5); // 15
+let exactTotal = sumAll(0.1, 0.2, { mode: "decimal" }); // Rational 0.3 (plain: 0.30000000000000004)
 
 // --------------------------------------------------------
 // 6. Spread Operator (...)
@@ -107,6 +113,13 @@ function operate(a, b, fn) {
 const subtract = (x, y) => x - y;
 let result = operate(20, 5, subtract); // 15
 
+// Reusable higher-order helpers live in lib/functional.js:
+// pipe/compose glue functions, curry/partial pre-fill arguments.
+const { pipe, curry, partial, flip, _ } = require("../../lib/functional");
+const subtractFrom20 = partial(subtract, 20);  // y => 20 - y
+const minus5 = partial(subtract, _, 5);        // x => x - 5
+let flippedResult = flip(subtract)(5, 20);     // 15 → subtract(20, 5)
+
 // --------------------------------------------------------
 // 9. Function Scope
 // --------------------------------------------------------
@@ -148,19 +161,20 @@ function multiplyNum(a, b = 2) {
 const greetPerson = (name = "Guest") => `Hello, ${name}`;
 
 // Q5: Sum all numbers (rest)
-const totalSum = (...nums) => nums.reduce((t, n) => t + n, 0);
+const totalSum = (...args) => exact.sum(...exact.splitOptions(args));
 
 // Q6: Largest of three numbers
 const maxOfThree = (a, b, c) => Math.max(a, b, c);
 
-// Q7: Reverse string
-const reverseString = str => str.split("").reverse().join("");
+// Q7: Reverse string (grapheme-safe, see lib/strings.js)
+const strings = require("../../lib/strings");
+const reverseString = str => strings.reverse(str);
 
 // Q8: Merge arrays (spread)
 const combinedArr = [...[1, 2, 3], ...[4, 5, 6]];
 
-// Q9: Count vowels
-const countVowels = str => (str.match(/[aeiou]/gi) || []).length;
+// Q9: Count vowels (accent & script aware)
+const countVowels = (str, locale) => strings.countVowels(str, locale);
 
 // Q10: Uppercase array of words
 const toUpper = words => words.map(w => w.toUpperCase());
@@ -181,13 +195,24 @@ function outer(x) {
 }
 let adder5 = outer(5);
 let val = adder5(10); // 15
+// Same idea, generalised: curry turns add(a, b) into add(a)(b)
+let curriedAdder5 = curry(add)(5);
+let val2 = curriedAdder5(10); // 15
+let addThenDouble = pipe(add, double); // (a, b) => double(add(a, b))
 
 // Q14: Rest operator for product
-const productAll = (...nums) => nums.reduce((p, n) => p * n, 1);
+// Past 2^53 floats lose digits → productAll(...bigNums, { mode: "bigint" })
+const productAll = (...args) => exact.product(...exact.splitOptions(args));
 
 // Q15: Spread operator for copying object
-const user = { id: 1, name: "Rohan" };
-const copyUser = { ...user };
+// { ...user } is a SHALLOW copy: user.address is still shared.
+// deepClone() copies every level (Dates, Maps, Sets, cycles too).
+const { deepClone, deepEqual, set } = require("../../lib/structural");
+const user = { id: 1, name: "Rohan", address: { city: "Delhi" } };
+const copyUser = deepClone(user);
+copyUser.address.city = "Pune"; // user.address.city is still "Delhi"
+// Immutable update, only the changed branch is copied:
+const movedUser = set(user, "address.city", "Mumbai");
 
 // Q16: Function with multiple defaults
 function createUser(name = "Guest", role = "User") {
@@ -224,3 +249,7 @@ const barArrow = () => "Not Hoisted";
 // console.log(maxOfThree(10,20,15), reverseString("Hello"), countVowels("Javascript"));
 // console.log(toUpper(["one","two"]), val, productAll(2,3,4), cube(3));
 // console.log(introduce("Rohan", 22), evens);
+// console.log(String(exactTotal), productAll(2 ** 40, 2 ** 20, { mode: "bigint" }));
+// console.log(subtractFrom20(5), minus5(20), flippedResult, val2, addThenDouble(2, 3));
+// console.log(user.address.city, deepEqual(user, copyUser)); // Delhi false
+// console.log(movedUser.address.city, user.address.city); // Mumbai Delhi
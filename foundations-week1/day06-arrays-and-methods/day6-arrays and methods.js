@@ -2,6 +2,18 @@
 // Day 6: Arrays + Array Methods
 // ========================================================
 
+// log() prints arrays/objects with one fixed format (not console.log's
+// Node-specific one), with cycles, depth and long strings handled
+// (see lib/inspect.js). This file is run with Node: require() does not
+// exist in the browser.
+const { log } = require("../../lib/inspect");
+
+// The practice data lives in ./data (CSV / NDJSON) instead of literals,
+// loaded with lib/data-io.js. The schema turns CSV text into numbers.
+const path = require("path");
+const { readDataSync } = require("../../lib/data-io");
+const dataFile = name => path.join(__dirname, "data", name);
+
 // --------------------------------------------------------
 // 1. Arrays Basics (Theory)
 // --------------------------------------------------------
@@ -11,14 +23,14 @@
 // - Elements can be of ANY type (string, number, object, etc.).
 
 let fruits = ["apple", "banana", "mango"];
-console.log(fruits[0]); // "apple"
+log(fruits[0]); // "apple"
 
 // Common array operations
 fruits.push("orange");   // add at end
 fruits.pop();            // remove last
 fruits.unshift("grape"); // add at start
 fruits.shift();          // remove first
-console.log("Fruits:", fruits);
+log("Fruits:", fruits);
 
 // --------------------------------------------------------
 // 2. Array Methods (Theory + Syntax)
@@ -29,39 +41,39 @@ console.log("Fruits:", fruits);
 // - Common use in React: rendering lists of components.
 const numbers = [1, 2, 3, 4, 5];
 const squares = numbers.map(n => n * n);
-console.log("Squares:", squares);
+log("Squares:", squares);
 
 // filter()
 // - Returns a new array with ONLY elements that satisfy a condition.
 // - Useful for search, filtering lists in React.
 const evens = numbers.filter(n => n % 2 === 0);
-console.log("Evens:", evens);
+log("Evens:", evens);
 
 // reduce()
 // - Reduces an array to a single value (e.g., sum, product, max).
 // - Takes an accumulator + current value, with optional initial value.
 // - Common in React for totals (cart price, analytics).
 const sum = numbers.reduce((acc, n) => acc + n, 0);
-console.log("Sum:", sum);
+log("Sum:", sum);
 
 // find()
 // - Returns the FIRST element that matches a condition.
 // - If no match → undefined.
 // - Great for selecting a single object (e.g., product by ID).
 const firstBig = numbers.find(n => n > 3);
-console.log("First > 3:", firstBig);
+log("First > 3:", firstBig);
 
 // some()
 // - Returns true if ANY element matches the condition.
 // - Useful for quick checks (e.g., if a cart has out-of-stock items).
 const hasNegative = numbers.some(n => n < 0);
-console.log("Has negative?", hasNegative);
+log("Has negative?", hasNegative);
 
 // every()
 // - Returns true if ALL elements satisfy the condition.
 // - Great for validations (e.g., all inputs filled).
 const allPositive = numbers.every(n => n > 0);
-console.log("All positive?", allPositive);
+log("All positive?", allPositive);
 
 // --------------------------------------------------------
 // 3. Practice Problems (10 Standard)
@@ -69,52 +81,85 @@ console.log("All positive?", allPositive);
 
 // Q1: Double each number
 const doubled = numbers.map(n => n * 2);
-console.log("Doubled:", doubled);
+log("Doubled:", doubled);
 
 // Q2: Filter numbers greater than 3
 const greaterThan3 = numbers.filter(n => n > 3);
-console.log(">3:", greaterThan3);
+log(">3:", greaterThan3);
 
 // Q3: Find first odd number
 const firstOdd = numbers.find(n => n % 2 !== 0);
-console.log("First odd:", firstOdd);
+log("First odd:", firstOdd);
 
 // Q4: Check if all numbers < 10
-console.log("All < 10?", numbers.every(n => n < 10));
+log("All < 10?", numbers.every(n => n < 10));
 
 // Q5: Check if some numbers divisible by 2
-console.log("Any even?", numbers.some(n => n % 2 === 0));
+log("Any even?", numbers.some(n => n % 2 === 0));
 
 // Q6: Sum of array using reduce
 const total = numbers.reduce((a, b) => a + b, 0);
-console.log("Total:", total);
+log("Total:", total);
 
 // Q7: Flatten nested array
+// reduce + concat only removes ONE level; flatten() takes a depth (default: all)
+const { flatten } = require("../../lib/structural");
 const nested = [[1, 2], [3, 4], [5]];
-const flat = nested.reduce((acc, arr) => acc.concat(arr), []);
-console.log("Flattened:", flat);
+const flat = flatten(nested);
+log("Flattened:", flat);
+log("Deep:", flatten([1, [2, [3, [4, [5]]]]]), "one level:", flatten([1, [2, [3, [4]]]], 1));
 
 // Q8: Extract names from objects
-const users = [{id: 1, name: "Alice"}, {id: 2, name: "Bob"}];
-const names = users.map(u => u.name);
-console.log("Names:", names);
+// from() builds a chainable query (see lib/query.js)
+const { from, count, avg } = require("../../lib/query");
+const users = readDataSync(dataFile("users.csv"), { schema: { id: "integer" } });
+const names = from(users).pluck("name");
+log("Names:", names);
 
 // Q9: Filter adults from people array
-const people = [
-  {name: "Tom", age: 16},
-  {name: "Sara", age: 21},
-  {name: "John", age: 18}
-];
-const adults = people.filter(p => p.age >= 18);
-console.log("Adults:", adults);
+const people = readDataSync(dataFile("people.csv"), { schema: { age: "integer" } });
+const adults = from(people).where("age", "gte", 18).toArray();
+log("Adults:", adults);
+
+// Same data, dashboard-style: sort, group, join
+log("Oldest first:", from(people).orderBy("-age", "name").select("name").toArray());
+log("Adults vs minors:", from(people)
+  .groupBy({ group: p => (p.age >= 18 ? "adult" : "minor") }, { people: count(), avgAge: avg("age") })
+  .toArray());
+const logins = [{userId: 2, at: "2024-05-01"}, {userId: 2, at: "2024-05-03"}];
+log("Logins per user:", from(users)
+  .leftJoin(logins, ["id", "userId"], { as: "login" })
+  .groupBy("name", { logins: count("login") })
+  .toArray());
 
 // Q10: Average of passing scores (>= 50, +5 bonus)
-const scores = [45, 80, 32, 90, 67];
-const avgHigh = scores
-  .filter(s => s >= 50)   // keep passing scores
-  .map(s => s + 5)        // add bonus
-  .reduce((a, b, _, arr) => a + b / arr.length, 0);
-console.log("Average with bonus:", avgHigh);
+// lib/stats.js: the bonus is capped at 100, and the mean of an empty
+// list throws instead of quietly returning 0 (nobody passed ≠ average 0).
+const stats = require("../../lib/stats");
+const scores = readDataSync(dataFile("scores.ndjson"), { schema: { score: "number" } }).map(r => r.score);
+const passing = scores.filter(s => s >= 50); // keep passing scores
+const avgHigh = stats.mean(stats.addBonus(passing, 5));
+log("Average with bonus:", avgHigh);
+log("Class summary:", stats.summary(scores));
+
+// Same chain, lazily (lib/lazy.js): one element at a time goes through
+// filter → map → take, no in-between arrays. Handy for huge inputs,
+// here a million numbers where only the first 5 matches are needed:
+const { lazy, range } = require("../../lib/lazy");
+log("Passing + bonus (lazy):", lazy(scores).filter(s => s >= 50).map(s => s + 5).toArray());
+log("First 5 squares divisible by 7:", range(1_000_000).filter(n => n % 7 === 0).map(n => n * n).skip(1).take(5).toArray());
+// Benchmark vs eager arrays: node lib/lazy.js bench 1000000
+
+// Cart totals (reduce) and out-of-stock checks (some/every), for real:
+// lib/cart.js keeps money in cents, so no 0.1 + 0.2 surprises.
+const { createCart, formatMoney } = require("../../lib/cart");
+const cart = createCart({ region: "US-CA", coupons: { SAVE10: { discount: { type: "percent", value: 10 } } } })
+  .add({ sku: "pen", name: "Pen", unitPrice: 199 }, 3)
+  .add({ sku: "book", name: "JS Book", unitPrice: 2999 });
+cart.applyCoupon("save10");
+const bill = cart.totals();
+log("Cart total:", formatMoney(bill.total), "(discount", formatMoney(bill.discount) + ", tax", formatMoney(bill.tax) + ")");
+log("Stock problems:", cart.validateStock({ pen: 2, book: 5 }).problems);
 
 // --------------------------------------------------------
 // 4. Why This Matters for React (Theory)
@@ -0,0 +1,510 @@
+// ========================================================
+// Day 7: Portfolio — projects rendered from projects.json
+// ========================================================
+// - Projects live in projects.json, so adding one = editing JSON, no HTML.
+// - Every card is built with createElement + textContent (never innerHTML),
+//   so a "<" in a description shows up as text instead of breaking the page.
+// - States of the #projects list:
+//     loading → "Loading projects…" (aria-busy)
+//     error   → message + Retry button
+//     empty   → "No projects yet"
+//     ready   → the cards
+// - fetch() does not work on file:// pages → serve the folder, e.g.
+//   npx serve .   or   python3 -m http.server
+// - <noscript> in index.html lists the same projects for no-JS visitors.
+// - Filter bar (built from the tags in projects.json):
+//     tag chips   → multi-select, a project must have EVERY selected tag
+//     search box  → title + description, debounced, ignores case/accents
+//     "3 of 5 projects" count, read out by screen readers
+//     ?tags=CLI,Node.js&q=game in the URL → a filtered view can be shared
+// - Cards are hidden, never re-created, and animated with FLIP (measure
+//   First, change, measure Last, Invert, Play) so they slide into place.
+// - Header nav = tiny hash router:
+//     #about / #projects / #contact → scroll there, focus the <h2>
+//     Back/Forward + typed URLs     → "hashchange" does the same
+//     while scrolling               → IntersectionObserver marks the
+//                                     section under the header (scrollspy)
+//     the header is sticky          → --header-height feeds scroll-margin-top
+//                                     so headings are not hidden behind it
+
+"use strict";
+
+const PROJECTS_URL = "projects.json";
+
+// --------------------------------------------------------
+// 1. Loading
+// --------------------------------------------------------
+
+// Keeps only entries with a title, logs the rest, fills in defaults.
+function normalizeProjects(data) {
+  if (!Array.isArray(data)) throw new TypeError("projects.json must contain an array");
+  return data
+    .filter((project, i) => {
+      const ok = project && typeof project.title === "string" && project.title.trim() !== "";
+      if (!ok) console.warn(`projects.json: entry ${i} has no title, skipped`, project);
+      return ok;
+    })
+    .map(project => ({
+      title: project.title.trim(),
+      description: project.description || "",
+      tags: Array.isArray(project.tags) ? project.tags.map(String) : [],
+      repo: project.repo || null, // hosted source (e.g. a GitHub URL), not a local path
+      source: project.source || null, // path inside this repository, shown as text
+      demo: project.demo || null,
+      thumbnail: project.thumbnail || null,
+      thumbnailAlt: project.thumbnailAlt || "",
+    }));
+}
+
+async function loadProjects(url = PROJECTS_URL) {
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-cache" }); // weekly updates show up without a hard refresh
+  } catch (err) {
+    const hint = location.protocol === "file:" ? " Open the page through a local server, not as a file." : "";
+    throw new Error(`Could not reach ${url}.${hint}`);
+  }
+  if (!res.ok) throw new Error(`Could not load ${url} (HTTP ${res.status})`);
+  try {
+    return normalizeProjects(await res.json());
+  } catch (err) {
+    throw new Error(`${url} is not valid: ${err.message}`);
+  }
+}
+
+// --------------------------------------------------------
+// 2. Rendering
+// --------------------------------------------------------
+
+// el("a", { href, class: "x" }, "text", childNode, ...)
+function el(tag, attributes = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === null || value === undefined || value === false) continue;
+    node.setAttribute(name, value === true ? "" : value);
+  }
+  node.append(...children);
+  return node;
+}
+
+// Thumbnail with fixed width/height (no layout jump while it loads);
+// a broken image is swapped for a plain placeholder with the initials.
+function thumbnail(project) {
+  const placeholder = () =>
+    el("div", { class: "project-thumb project-thumb--empty", "aria-hidden": "true" },
+      project.title.split(/\s+/).map(word => word[0]).join("").slice(0, 2).toUpperCase());
+  if (!project.thumbnail) return placeholder();
+
+  const img = el("img", {
+    class: "project-thumb",
+    src: project.thumbnail,
+    alt: project.thumbnailAlt,
+    width: 320,
+    height: 180,
+    loading: "lazy",
+    decoding: "async",
+  });
+  img.addEventListener("error", () => img.replaceWith(placeholder()), { once: true });
+  return img;
+}
+
+function projectCard(project) {
+  const links = [
+    project.repo && el("a", { href: project.repo, target: "_blank", rel: "noopener" }, "Code"),
+    project.demo && el("a", { href: project.demo, target: "_blank", rel: "noopener" }, "Live demo"),
+  ].filter(Boolean);
+
+  return el("article", { class: "project-card" },
+    thumbnail(project),
+    el("h3", {}, project.title),
+    el("p", {}, project.description),
+    project.source ? el("p", { class: "project-source" }, "Source: ", el("code", {}, project.source)) : "",
+    project.tags.length ? el("ul", { class: "tags", "aria-label": "Technologies" }, ...project.tags.map(tag => el("li", {}, tag))) : "",
+    links.length ? el("p", { class: "project-links" }, ...links) : ""
+  );
+}
+
+function setStatus(list, { busy = false, message = "", error = false, retry = null } = {}) {
+  list.setAttribute("aria-busy", String(busy));
+  const children = [];
+  if (message) {
+    children.push(el("p", { class: error ? "status status--error" : "status", role: error ? "alert" : "status" }, message));
+  }
+  if (retry) {
+    const button = el("button", { type: "button", class: "retry" }, "Try again");
+    button.addEventListener("click", retry, { once: true });
+    children.push(button);
+  }
+  list.replaceChildren(...children);
+}
+
+// → [{ project, node }] so filters can show/hide the same nodes later.
+function renderProjects(list, projects) {
+  list.setAttribute("aria-busy", "false");
+  if (projects.length === 0) {
+    setStatus(list, { message: "No projects yet, check back soon." });
+    return [];
+  }
+  const cards = projects.map(project => ({ project, node: projectCard(project) }));
+  list.replaceChildren(...cards.map(card => card.node));
+  return cards;
+}
+
+// --------------------------------------------------------
+// 3. Filtering
+// --------------------------------------------------------
+
+const SEARCH_DELAY_MS = 200;
+const ANIMATION_MS = 250;
+
+// Lowercase and without accents: "Café" matches "cafe".
+function fold(text) {
+  return text.normalize("NFD").replace(/\p{M}+/gu, "").toLowerCase();
+}
+
+function debounce(fn, ms) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+}
+
+// Union of every project's tags, sorted, duplicates that only differ in
+// case merged ("javascript" + "JavaScript" → first spelling wins).
+function collectTags(projects) {
+  const byKey = new Map();
+  for (const tag of projects.flatMap(p => p.tags)) {
+    const key = fold(tag);
+    if (!byKey.has(key)) byKey.set(key, tag);
+  }
+  return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+}
+
+function matchesFilters(project, { tags, query }) {
+  const own = new Set(project.tags.map(fold));
+  if (!tags.every(tag => own.has(fold(tag)))) return false;
+  const haystack = fold(`${project.title} ${project.description}`);
+  return fold(query).split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+// ?tags=CLI,Node.js&q=game → { tags: [...], query }; unknown tags are dropped.
+function readFiltersFromURL(knownTags) {
+  const params = new URLSearchParams(location.search);
+  const byKey = new Map(knownTags.map(tag => [fold(tag), tag]));
+  const tags = (params.get("tags") || "")
+    .split(",")
+    .map(tag => byKey.get(fold(tag.trim())))
+    .filter(Boolean);
+  return { tags: [...new Set(tags)], query: params.get("q") || "" };
+}
+
+// replaceState, not pushState: typing should not fill the Back button history.
+function writeFiltersToURL({ tags, query }) {
+  const params = new URLSearchParams(location.search);
+  if (tags.length) params.set("tags", tags.join(","));
+  else params.delete("tags");
+  if (query.trim()) params.set("q", query.trim());
+  else params.delete("q");
+  const search = params.toString().replace(/%2C/g, ","); // keep commas readable
+  history.replaceState(history.state, "", `${location.pathname}${search ? `?${search}` : ""}${location.hash}`);
+}
+
+const prefersReducedMotion = () => window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+function stopLeaving(node) {
+  node.getAnimations().forEach(animation => animation.cancel());
+  node.classList.remove("is-leaving");
+  node.removeAttribute("style");
+}
+
+// Show/hide cards. Leaving cards fade out where they stand (taken out of
+// the flow so the grid can close the gap), staying cards slide from their
+// old spot to the new one, entering cards fade in.
+function showCards(list, cards, visible, { instant = false } = {}) {
+  const animate = !instant && !prefersReducedMotion() && typeof list.animate === "function";
+  const before = new Map();
+  for (const { node } of cards) {
+    const leaving = node.classList.contains("is-leaving");
+    if (leaving && visible.has(node)) stopLeaving(node); // brought back mid fade-out
+    else if (animate && !node.hidden && !leaving) before.set(node, node.getBoundingClientRect());
+  }
+  const listBox = list.getBoundingClientRect();
+
+  for (const { node } of cards) {
+    const show = visible.has(node);
+    if (node.classList.contains("is-leaving")) continue;
+    if (show || node.hidden) {
+      node.hidden = !show;
+      continue;
+    }
+    if (!animate) {
+      node.hidden = true;
+      continue;
+    }
+    // Leaving: pin it at its current spot on top of the grid, then fade.
+    const box = before.get(node);
+    Object.assign(node.style, {
+      position: "absolute",
+      top: `${box.top - listBox.top}px`,
+      left: `${box.left - listBox.left}px`,
+      width: `${box.width}px`,
+      height: `${box.height}px`,
+      pointerEvents: "none",
+    });
+    node.classList.add("is-leaving");
+    node.animate([{ opacity: 1, transform: "scale(1)" }, { opacity: 0, transform: "scale(0.95)" }], {
+      duration: ANIMATION_MS,
+      easing: "ease-in",
+    }).finished.then(() => {
+      stopLeaving(node);
+      node.hidden = true;
+    }, () => {}); // cancelled by stopLeaving()
+  }
+  if (!animate) return;
+
+  for (const { node } of cards) {
+    if (node.hidden || node.classList.contains("is-leaving")) continue;
+    const first = before.get(node);
+    if (!first) {
+      node.animate([{ opacity: 0, transform: "scale(0.95)" }, { opacity: 1, transform: "scale(1)" }], {
+        duration: ANIMATION_MS,
+        easing: "ease-out",
+      });
+      continue;
+    }
+    const last = node.getBoundingClientRect();
+    const dx = first.left - last.left;
+    const dy = first.top - last.top;
+    if (dx || dy) {
+      node.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: "none" }], {
+        duration: ANIMATION_MS,
+        easing: "ease-in-out",
+      });
+    }
+  }
+}
+
+function createFilterBar(section, list, cards) {
+  const tags = collectTags(cards.map(card => card.project));
+  const state = readFiltersFromURL(tags);
+
+  const search = el("input", {
+    type: "search",
+    id: "project-search",
+    placeholder: "Search projects…",
+    autocomplete: "off",
+  });
+  search.value = state.query;
+  const count = el("p", { class: "project-count", role: "status" });
+  const clear = el("button", { type: "button", class: "chip chip--clear" }, "Clear filters");
+  const chips = tags.map(tag => {
+    const chip = el("button", { type: "button", class: "chip", "aria-pressed": String(state.tags.includes(tag)) }, tag);
+    chip.addEventListener("click", () => {
+      const on = chip.getAttribute("aria-pressed") !== "true";
+      chip.setAttribute("aria-pressed", String(on));
+      state.tags = on ? [...state.tags, tag] : state.tags.filter(t => t !== tag);
+      update();
+    });
+    return chip;
+  });
+
+  function update({ instant = false } = {}) {
+    const visible = new Set(cards.filter(card => matchesFilters(card.project, state)).map(card => card.node));
+    showCards(list, cards, visible, { instant });
+    count.textContent =
+      visible.size === cards.length
+        ? `Showing all ${cards.length} projects`
+        : `${visible.size} of ${cards.length} projects match`;
+    clear.hidden = state.tags.length === 0 && state.query.trim() === "";
+    writeFiltersToURL(state);
+  }
+
+  const onSearch = debounce(() => {
+    state.query = search.value;
+    update();
+  }, SEARCH_DELAY_MS);
+  search.addEventListener("input", onSearch);
+  clear.addEventListener("click", () => {
+    state.tags = [];
+    state.query = "";
+    search.value = "";
+    chips.forEach(chip => chip.setAttribute("aria-pressed", "false"));
+    update();
+    search.focus();
+  });
+
+  const bar = el("div", { class: "project-filters", role: "search", "aria-label": "Filter projects" },
+    el("label", { for: "project-search", class: "visually-hidden" }, "Search projects"),
+    search,
+    tags.length ? el("div", { class: "chips", role: "group", "aria-label": "Filter by technology" }, ...chips, clear) : clear,
+    count
+  );
+  section.insertBefore(bar, list);
+  update({ instant: true }); // a shared link should open already filtered
+}
+
+// --------------------------------------------------------
+// 4. Navigation (hash router + scrollspy)
+// --------------------------------------------------------
+
+// How long scrollspy waits after a jump, so a smooth scroll past other
+// sections does not make the highlight flicker through them.
+const SPY_PAUSE_MS = 800;
+
+// Nav links → [{ id, link, section, heading }], only for targets that exist.
+function collectRoutes(nav) {
+  return [...nav.querySelectorAll('a[href^="#"]')]
+    .map(link => {
+      const id = decodeURIComponent(link.hash.slice(1));
+      const section = id && document.getElementById(id);
+      return section ? { id, link, section, heading: section.querySelector("h1, h2, h3") } : null;
+    })
+    .filter(Boolean);
+}
+
+// Exposes the header height as --header-height for scroll-margin-top (CSS).
+function trackHeaderHeight(header, onChange) {
+  const update = () => {
+    document.documentElement.style.setProperty("--header-height", `${header.offsetHeight}px`);
+    onChange(header.offsetHeight);
+  };
+  update();
+  window.addEventListener("resize", debounce(update, SEARCH_DELAY_MS));
+}
+
+function startRouter(header) {
+  const nav = header.querySelector("nav");
+  const routes = nav ? collectRoutes(nav) : [];
+  if (routes.length === 0) return { realign() {} };
+
+  let spyPausedUntil = 0;
+  let observer = null;
+
+  function setActive(route) {
+    for (const { link } of routes) {
+      const on = link === route.link;
+      link.classList.toggle("is-active", on);
+      if (on) link.setAttribute("aria-current", "location");
+      else link.removeAttribute("aria-current");
+    }
+  }
+
+  const routeFor = hash => routes.find(route => `#${route.id}` === decodeURIComponent(hash));
+
+  // scrollIntoView honours scroll-margin-top, so the offset lives in CSS.
+  // "instant", not "auto": "auto" follows the CSS scroll-behavior: smooth.
+  // The heading gets focus (without a second scroll) so screen readers
+  // start reading at the new section instead of staying on the nav link.
+  function goTo(route, { focus = true, smooth = true } = {}) {
+    setActive(route);
+    spyPausedUntil = performance.now() + SPY_PAUSE_MS;
+    route.section.scrollIntoView({ behavior: smooth && !prefersReducedMotion() ? "smooth" : "instant", block: "start" });
+    if (focus && route.heading) {
+      route.heading.setAttribute("tabindex", "-1");
+      route.heading.focus({ preventScroll: true });
+    }
+  }
+
+  function onHashChange() {
+    const route = routeFor(location.hash);
+    if (route) goTo(route);
+  }
+
+  // Sections crossing a thin band just below the header count as "current";
+  // the first one in page order wins. The band depends on the header
+  // height, so the observer is rebuilt when that changes.
+  // A short last section (#contact) never reaches the band, so at the very
+  // bottom of the page the last route wins instead.
+  const inView = new Set();
+
+  function atBottom() {
+    const page = document.documentElement;
+    return page.scrollHeight > window.innerHeight && window.scrollY + window.innerHeight >= page.scrollHeight - 2;
+  }
+
+  function spy() {
+    if (performance.now() < spyPausedUntil) return;
+    const current = atBottom() ? routes[routes.length - 1] : routes.find(route => inView.has(route.section));
+    if (current) setActive(current);
+  }
+
+  function observe(headerHeight) {
+    if (observer) observer.disconnect();
+    if (typeof IntersectionObserver !== "function") return;
+    inView.clear();
+    observer = new IntersectionObserver(
+      entries => {
+        for (const entry of entries) {
+          if (entry.isIntersecting) inView.add(entry.target);
+          else inView.delete(entry.target);
+        }
+        spy();
+      },
+      { rootMargin: `-${headerHeight + 1}px 0px -60% 0px` }
+    );
+    routes.forEach(route => observer.observe(route.section));
+  }
+
+  // The observer only fires when a section crosses the band; reaching the
+  // bottom needs a scroll check (once per frame).
+  let spyQueued = false;
+  window.addEventListener(
+    "scroll",
+    () => {
+      if (spyQueued) return;
+      spyQueued = true;
+      requestAnimationFrame(() => {
+        spyQueued = false;
+        spy();
+      });
+    },
+    { passive: true }
+  );
+
+  // Clicking the link of the section you are already on fires no
+  // "hashchange", so handle that case here.
+  nav.addEventListener("click", event => {
+    const link = event.target.closest('a[href^="#"]');
+    const route = link && routeFor(link.hash);
+    if (route && link.hash === location.hash) {
+      event.preventDefault();
+      goTo(route);
+    }
+  });
+  window.addEventListener("hashchange", onHashChange);
+  trackHeaderHeight(header, observe);
+
+  const initial = routeFor(location.hash);
+  if (initial) goTo(initial, { focus: false, smooth: false });
+  else setActive(routes[0]);
+
+  return {
+    // Content loaded above a deep-linked section pushes it down; jump again.
+    realign() {
+      const route = routeFor(location.hash);
+      if (route) goTo(route, { focus: false, smooth: false });
+    },
+  };
+}
+
+// --------------------------------------------------------
+// 5. Start
+// --------------------------------------------------------
+
+async function showProjects() {
+  const list = document.getElementById("project-list");
+  if (!list) return;
+  setStatus(list, { busy: true, message: "Loading projects…" });
+  try {
+    const cards = renderProjects(list, await loadProjects());
+    if (cards.length) createFilterBar(list.parentElement, list, cards);
+  } catch (err) {
+    console.error(err);
+    setStatus(list, { message: err.message, error: true, retry: showProjects });
+  }
+}
+
+const header = document.querySelector("header");
+const router = header ? startRouter(header) : { realign() {} };
+showProjects().then(() => router.realign());
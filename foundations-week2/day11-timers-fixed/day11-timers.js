@@ -67,6 +67,9 @@ const counterId = setInterval(() => {
 }, 1000);
 
 // Q5: Random Quote Reminder
+// Seedable picker (lib/random.js) → SEED=42 replays the same quotes.
+const { createRandom } = require("../../lib/random");
+const random = createRandom(process.env.SEED);
 const quotes = [
   "Stay hungry, stay foolish.",
   "Code is like humor — it’s better when it works.",
@@ -76,8 +79,8 @@ const quotes = [
 ];
 let shown = 0;
 const quoteId = setInterval(() => {
-  const random = quotes[Math.floor(Math.random() * quotes.length)];
-  console.log(random);
+  const quote = random.pick(quotes);
+  console.log(quote);
   shown++;
   if (shown >= 5) clearInterval(quoteId);
 }, 3000);
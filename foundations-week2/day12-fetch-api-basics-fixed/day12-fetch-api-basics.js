@@ -16,10 +16,14 @@
 //     • API might block (CORS)
 // - Modern syntax: async/await for cleaner code.
 
+// Big API payloads → describeValue() keeps the dump readable
+// (depth limit + truncated long strings, see lib/inspect.js).
+const { describeValue } = require("../../lib/inspect");
+
 // Example (promise style):
 fetch("https://jsonplaceholder.typicode.com/posts/1")
   .then(res => res.json())
-  .then(data => console.log(data))
+  .then(data => console.log(describeValue(data)))
   .catch(err => console.error("Error:", err));
 
 // Example (async/await style):
@@ -27,7 +31,7 @@ async function getPost() {
   try {
     const res = await fetch("https://jsonplaceholder.typicode.com/posts/1");
     const data = await res.json();
-    console.log(data);
+    console.log(describeValue(data));
   } catch (err) {
     console.error("Error:", err);
   }
@@ -41,17 +45,17 @@ getPost();
 // Q1: Fetch 10 posts
 fetch("https://jsonplaceholder.typicode.com/posts")
   .then(res => res.json())
-  .then(data => console.log("First 10 posts:", data.slice(0, 10)));
+  .then(data => console.log("First 10 posts:", describeValue(data.slice(0, 10), { maxStringLength: 40 })));
 
 // Q2: Fetch single user (id=3)
 fetch("https://jsonplaceholder.typicode.com/users/3")
   .then(res => res.json())
-  .then(user => console.log("User 3:", user));
+  .then(user => console.log("User 3:", describeValue(user)));
 
 // Q3: Fetch comments of post 1
 fetch("https://jsonplaceholder.typicode.com/posts/1/comments")
   .then(res => res.json())
-  .then(comments => console.log("Comments on Post 1:", comments));
+  .then(comments => console.log("Comments on Post 1:", describeValue(comments, { maxStringLength: 40 })));
 
 // Q4: Fetch a random joke
 fetch("https://official-joke-api.appspot.com/random_joke")
@@ -61,7 +65,7 @@ fetch("https://official-joke-api.appspot.com/random_joke")
 // Q5: Fetch Pokémon data (pikachu)
 fetch("https://pokeapi.co/api/v2/pokemon/pikachu")
   .then(res => res.json())
-  .then(pokemon => console.log("Pikachu Data:", pokemon));
+  .then(pokemon => console.log("Pikachu Data:", describeValue(pokemon, { depth: 2, maxItems: 10 })));
 
 // --------------------------------------------------------
 // 3. Why This Matters for React (Theory)
@@ -42,6 +42,11 @@ step-by-step flow of asynchronous operations without messy nesting.
 */
 
 
+// Seedable coin flips (lib/random.js) → SEED=42 makes every run identical.
+const { createRandom } = require("../../lib/random");
+const random = createRandom(process.env.SEED);
+
+
 /* =========================================================================
 Example 1: Basic Promise
 ========================================================================= */
@@ -164,7 +169,7 @@ Modify the above promise to sometimes reject. Handle with .catch().
 
 let randomPromise = new Promise((resolve, reject) => {
     setTimeout(() => {
-        let success = Math.random() > 0.5; // Random true/false
+        let success = random.chance(0.5); // Random true/false, reproducible with a seed
         if (success) {
             resolve("Success! The coin landed on heads.");
         } else {
@@ -55,6 +55,12 @@ Example Flow
 */
 
 
+// Seedable coin flips (lib/random.js) → SEED=42 makes every run identical.
+// Functions take the generator as a parameter so tests can inject their own.
+const { createRandom } = require("../../lib/random");
+const random = createRandom(process.env.SEED);
+
+
 /* =========================================================================
 Example 1: Basic Async/Await with setTimeout
 ========================================================================= */
@@ -71,11 +77,11 @@ example1();
 Example 2: Async function with try/catch (error handling)
 ========================================================================= */
 
-async function example2() {
+async function example2(rng = random) {
     try {
         let result = await new Promise((resolve, reject) => {
             setTimeout(() => {
-                let success = Math.random() > 0.5; // random success/failure
+                let success = rng.chance(0.5); // random success/failure
                 if (success) resolve("Task succeeded!");
                 else reject(new Error("Task failed!"));
             }, 2000);
@@ -150,11 +156,11 @@ easy1Async();
 EASY 2:
 Sometimes reject the promise randomly. Handle with try/catch.
 ======================================================== */
-async function easy2Async() {
+async function easy2Async(rng = random) {
     try {
         let result = await new Promise((resolve, reject) => {
             setTimeout(() => {
-                let success = Math.random() > 0.5;
+                let success = rng.chance(0.5);
                 if (success) resolve("Success! Coin landed heads.");
                 else reject(new Error("Failure! Coin landed tails."));
             }, 2000);
@@ -0,0 +1,234 @@
+// ========================================================
+// Shared: Calculator REPL
+// ========================================================
+// - Read → Eval → Print → Loop, built on lib/expression.js.
+// - Every result is stored in `ans`:   calc> ans * 2
+// - Memory register (like a pocket calculator):
+//     m+ [expr]  add expr (or ans) to memory
+//     m- [expr]  subtract expr (or ans) from memory
+//     mr         recall memory (becomes ans)
+//     mc         clear memory
+//   m, mr and mc are reserved: after "m = 4", "m+1" could mean either
+//   "4 + 1" or "add 1 to memory", so they cannot be variable names.
+// - Commands: :help  :vars  :history  :clear  :quit
+// - History is saved to a file and reloaded next time (↑ / ↓ keys).
+// - Bad input prints an error with a caret under the column and the
+//   loop keeps going, it never exits on a mistake.
+// - createSession() holds all state and never touches I/O, so it can be
+//   driven line by line in tests; run() wires it to readline.
+//
+// Usage: node lib/calc-repl.js [--history ./file]
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { createCalculator, ExpressionError } = require("./expression");
+
+const DEFAULT_HISTORY_FILE = path.join(os.homedir(), ".calc_history");
+const HISTORY_LIMIT = 500;
+
+// "m = 4", "MR = 1", ... (but not "m == 4")
+const RESERVED_ASSIGNMENT = /^(m|mr|mc)\s*=(?!=)/i;
+
+const HELP = `Enter an expression:  2 * (3 + 4) ** 2, sqrt(16), max(1, 5), gcd(48, 18)
+Variables:            x = 5, then x * 2 (ans holds the last result)
+Functions:            f(a, b) = a * b + 1, then f(2, 3)
+Memory:               m+ [expr]  m- [expr]  mr  mc
+Commands:             :help  :vars  :history  :clear  :quit`;
+
+// --------------------------------------------------------
+// 1. Session (pure state, no I/O)
+// --------------------------------------------------------
+
+function formatNumber(value) {
+  if (typeof value !== "number") return String(value);
+  if (Number.isInteger(value) || !Number.isFinite(value)) return String(value);
+  return String(Number(value.toPrecision(12))); // 0.1 + 0.2 → 0.3 on screen, exact value kept in ans
+}
+
+// Points at the failing column:
+//   2 + * 3
+//       ^
+function pointAt(input, column) {
+  return `  ${input}\n  ${" ".repeat(Math.max(0, column - 1))}^`;
+}
+
+function createSession({ history = [] } = {}) {
+  const calc = createCalculator({ variables: { ans: 0 } });
+  const lines = [...history];
+  let memory = 0;
+
+  function setAns(value) {
+    calc.set("ans", value);
+    return value;
+  }
+
+  // Empty expression → use ans (so "m+" alone adds the last result).
+  function valueOf(expr) {
+    return expr.trim() === "" ? calc.get("ans") : calc.evaluate(expr);
+  }
+
+  function command(name) {
+    switch (name) {
+      case "help": return { output: HELP };
+      case "quit":
+      case "exit":
+      case "q": return { output: "Bye! 👋", quit: true };
+      case "vars": {
+        const vars = Object.entries(calc.variables()).map(([k, v]) => `${k} = ${formatNumber(v)}`);
+        return { output: [...vars, `memory = ${formatNumber(memory)}`].join("\n") };
+      }
+      case "history":
+        return { output: lines.length ? lines.map((l, i) => `${String(i + 1).padStart(4)}  ${l}`).join("\n") : "(empty)" };
+      case "clear":
+        lines.length = 0;
+        return { output: "History cleared." };
+      default:
+        return { error: `Unknown command ":${name}", type :help` };
+    }
+  }
+
+  // Returns { output?, error?, quit? } for one input line.
+  function handle(rawLine) {
+    const line = rawLine.trim();
+    if (line === "") return {};
+    if (!line.startsWith(":")) lines.push(line);
+
+    if (line.startsWith(":")) return command(line.slice(1).trim().toLowerCase());
+
+    try {
+      const mem = /^m([+-])(.*)$/i.exec(line);
+      if (mem) {
+        const value = valueOf(mem[2]);
+        // "m+ f(x) = x" defines a function and returns its name, not a number.
+        if (typeof value !== "number") return { error: `✖ m${mem[1]} needs a number, "${mem[2].trim()}" is a definition` };
+        memory = mem[1] === "+" ? memory + value : memory - value;
+        return { output: `M = ${formatNumber(memory)}` };
+      }
+      if (/^mr$/i.test(line)) return { output: formatNumber(setAns(memory)) };
+      if (/^mc$/i.test(line)) {
+        memory = 0;
+        return { output: "M = 0" };
+      }
+
+      const reserved = RESERVED_ASSIGNMENT.exec(line);
+      if (reserved) throw new ExpressionError(`'${reserved[1]}' is reserved for memory (m+, m-, mr, mc)`, 1);
+
+      const result = calc.evaluate(line);
+      if (typeof result === "string") return { output: `Defined ${result}()` };
+      return { output: formatNumber(setAns(result)) };
+    } catch (err) {
+      if (err instanceof ExpressionError && err.column) {
+        // Memory commands evaluate the text after "m+"/"m-" → shift the caret.
+        const offset = /^m[+-]/i.test(line) ? 2 : 0;
+        return { error: `${pointAt(line, err.column + offset)}\n✖ ${err.message.replace(/ at column \d+$/, "")}` };
+      }
+      return { error: `✖ ${err.message}` };
+    }
+  }
+
+  return {
+    handle,
+    get memory() {
+      return memory;
+    },
+    get history() {
+      return [...lines];
+    },
+  };
+}
+
+// --------------------------------------------------------
+// 2. History File
+// --------------------------------------------------------
+
+function loadHistory(file) {
+  try {
+    return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).slice(-HISTORY_LIMIT);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`Could not read history file ${file}: ${err.message}`);
+  }
+}
+
+function saveHistory(file, lines) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, lines.slice(-HISTORY_LIMIT).join("\n") + (lines.length ? "\n" : ""));
+}
+
+// --------------------------------------------------------
+// 3. REPL (readline I/O)
+// --------------------------------------------------------
+
+function run({ input = process.stdin, output = process.stdout, historyFile = DEFAULT_HISTORY_FILE } = {}) {
+  const history = loadHistory(historyFile);
+  const session = createSession({ history });
+  const rl = readline.createInterface({
+    input,
+    output,
+    prompt: "calc> ",
+    terminal: Boolean(output.isTTY),
+    // readline wants newest first.
+    history: [...history].reverse(),
+    historySize: HISTORY_LIMIT,
+  });
+
+  output.write("🧮 Calculator — type :help for commands, :quit to leave\n");
+  rl.prompt();
+
+  return new Promise(resolve => {
+    let closed = false;
+    rl.on("line", line => {
+      if (closed) return; // piped input may still hold lines after :quit
+      const { output: text, error, quit } = session.handle(line);
+      if (text) output.write(`${text}\n`);
+      if (error) output.write(`${error}\n`);
+      if (quit) {
+        closed = true;
+        rl.close();
+        return;
+      }
+      rl.prompt();
+    });
+
+    // Ctrl+D, end of piped input or :quit → save history once.
+    rl.on("close", () => {
+      try {
+        saveHistory(historyFile, session.history);
+      } catch (err) {
+        output.write(`⚠️ Could not save history: ${err.message}\n`);
+      }
+      resolve(session);
+    });
+  });
+}
+
+// --------------------------------------------------------
+// 4. CLI
+// --------------------------------------------------------
+
+const USAGE = "Usage: node lib/calc-repl.js [--history ./file]";
+
+async function main(argv) {
+  const { parseArgs } = require("util");
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: { history: { type: "string", default: DEFAULT_HISTORY_FILE } },
+    }));
+  } catch (err) {
+    throw new Error(`${err.message}. ${USAGE}`);
+  }
+  await run({ historyFile: values.history });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(`✖ ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createSession, run, loadHistory, saveHistory, DEFAULT_HISTORY_FILE };
@@ -0,0 +1,402 @@
+// ========================================================
+// Shared: Shopping Cart
+// ========================================================
+// - Money is ALWAYS an integer number of minor units (cents, paise, ...):
+//   0.1 + 0.2 !== 0.3, but 10 + 20 === 30. $19.99 → 1999.
+//   toMinor("19.99", "USD") / formatMoney(1999, "USD") convert at the edges.
+// - Order of the math (every step rounds to whole minor units, half up):
+//     line subtotal = unit price × quantity
+//     − discounts   (cart discounts, then coupons; spread over the lines
+//                    they apply to so the parts add up to the total exactly)
+//     + tax         (per line, rate from region + the item's tax class)
+// - Coupons have rules (minimum subtotal, required items, dates, ...).
+//   They are checked again on every totals() call, so a coupon that stops
+//   qualifying after an item is removed is reported, not silently applied.
+// - validateStock() answers "can this cart be bought?" and lists the
+//   exact items that can't, instead of a bare true/false.
+// - toJSON() / cartFromJSON() round-trip the cart (localStorage, API).
+
+const { Rational } = require("./exact");
+
+// --------------------------------------------------------
+// 1. Money
+// --------------------------------------------------------
+
+// Digits after the decimal point: USD 2, JPY 0, KWD 3.
+function minorDigits(currency) {
+  return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// Intl formats any well-formed 3-letter code ("XYZ", "usd"), so check the
+// ISO 4217 list instead. Returns the code in upper case: "usd" → "USD".
+const CURRENCIES = new Set(Intl.supportedValuesOf("currency"));
+function checkCurrency(currency) {
+  if (typeof currency !== "string") throw new TypeError(`currency must be a string, got ${typeof currency}`);
+  const code = currency.toUpperCase();
+  if (!CURRENCIES.has(code)) throw new RangeError(`Unknown currency code "${currency}"`);
+  return code;
+}
+
+function checkMinor(value, name) {
+  if (!Number.isSafeInteger(value)) {
+    throw new TypeError(`${name} must be an integer amount in minor units (cents), got ${value}`);
+  }
+}
+
+// "19.99" → 1999 for USD. Strings are parsed exactly; numbers must not carry
+// more decimals than the currency has (19.999 USD throws instead of rounding).
+function toMinor(amount, currency = "USD") {
+  const digits = minorDigits(currency);
+  const exact = Rational.from(amount).mul(Rational.from(10n ** BigInt(digits)));
+  if (exact.denominator !== 1n) {
+    throw new RangeError(`${amount} has more than ${digits} decimal places for ${currency}`);
+  }
+  const minor = Number(exact.numerator);
+  checkMinor(minor, "amount");
+  return minor;
+}
+
+// 1999 → "$19.99" (formatted from a decimal string, no float division).
+function formatMoney(minor, currency = "USD", locale = "en-US") {
+  checkMinor(minor, "amount");
+  const digits = minorDigits(currency);
+  const sign = minor < 0 ? "-" : "";
+  const text = String(Math.abs(minor)).padStart(digits + 1, "0");
+  const decimal = digits ? `${text.slice(0, -digits)}.${text.slice(-digits)}` : text;
+  return new Intl.NumberFormat(locale, { style: "currency", currency }).format(`${sign}${decimal}`);
+}
+
+// a × b / c rounded half up, for non-negative integers.
+function mulDivRound(a, b, c) {
+  return Number((2n * BigInt(a) * BigInt(b) + BigInt(c)) / (2n * BigInt(c)));
+}
+
+// Split `total` over `weights` proportionally, in whole units, so the parts
+// add up to exactly `total` (largest remainder method).
+function allocate(total, weights) {
+  const big = weights.map(BigInt);
+  const sum = big.reduce((a, b) => a + b, 0n);
+  if (sum === 0n) return weights.map(() => 0);
+  const amount = BigInt(total);
+  const parts = big.map(w => (amount * w) / sum);
+  let left = amount - parts.reduce((a, b) => a + b, 0n);
+  const order = big
+    .map((w, i) => ({ i, remainder: (amount * w) % sum }))
+    .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.i - b.i));
+  for (const { i } of order) {
+    if (left <= 0n) break;
+    parts[i] += 1n;
+    left -= 1n;
+  }
+  return parts.map(Number);
+}
+
+// --------------------------------------------------------
+// 2. Tax & Discounts
+// --------------------------------------------------------
+
+// Percent per tax class. Items default to "standard".
+const TAX_RATES = {
+  "US-CA": { standard: 7.25, food: 0 },
+  "US-NY": { standard: 8.875, food: 0 },
+  "US-OR": { standard: 0 },
+  GB: { standard: 20, reduced: 5, zero: 0 },
+  DE: { standard: 19, reduced: 7 },
+  FR: { standard: 20, reduced: 5.5 },
+  IN: { standard: 18, reduced: 5, exempt: 0 },
+  JP: { standard: 10, food: 8 },
+};
+
+// Percent with up to 4 decimals → integer parts per million (7.25 → 72500).
+function toPpm(percent) {
+  const ppm = Rational.from(percent).mul(Rational.from(10000));
+  if (ppm.denominator !== 1n || ppm.numerator < 0n || ppm.numerator > 1000000n) {
+    throw new RangeError(`Rate must be 0–100 with at most 4 decimals, got ${percent}`);
+  }
+  return Number(ppm.numerator);
+}
+
+function taxRateFor(rates, region, taxClass) {
+  if (region === undefined || region === null) return 0;
+  const table = rates[region];
+  if (!table) throw new RangeError(`No tax rates for region "${region}"`);
+  const rate = table[taxClass] !== undefined ? table[taxClass] : table.standard;
+  if (rate === undefined) throw new RangeError(`Region "${region}" has no "${taxClass}" or "standard" rate`);
+  return rate;
+}
+
+// { type: "percent", value: 10 } | { type: "fixed", amount: 500 }
+// optional appliesTo: { skus: [...], categories: [...] } (default: every line)
+function checkDiscount(discount, label = "discount") {
+  if (!discount || typeof discount !== "object") throw new TypeError(`${label} must be an object`);
+  if (discount.type === "percent") toPpm(discount.value);
+  else if (discount.type === "fixed") {
+    checkMinor(discount.amount, `${label} amount`);
+    if (discount.amount < 0) throw new RangeError(`${label} amount must not be negative`);
+  } else {
+    throw new RangeError(`${label} type must be "percent" or "fixed", got ${discount.type}`);
+  }
+  return discount;
+}
+
+function appliesTo(discount, line) {
+  const target = discount.appliesTo;
+  if (!target) return true;
+  return Boolean((target.skus && target.skus.includes(line.sku)) || (target.categories && target.categories.includes(line.category)));
+}
+
+// Coupon rules → null if fine, otherwise the reason it does not apply.
+//   minSubtotal (minor units), minQuantity, requiresSkus, requiresCategories,
+//   validFrom / validUntil (ISO dates)
+function couponProblem(coupon, lines, subtotal, { now, currency }) {
+  const rules = coupon.rules || {};
+  const time = now();
+  if (rules.validFrom && time < Date.parse(rules.validFrom)) return `not valid before ${rules.validFrom}`;
+  if (rules.validUntil && time > Date.parse(rules.validUntil)) return `expired on ${rules.validUntil}`;
+  if (rules.minSubtotal !== undefined && subtotal < rules.minSubtotal) {
+    return `needs a subtotal of at least ${formatMoney(rules.minSubtotal, currency)}, cart has ${formatMoney(subtotal, currency)}`;
+  }
+  const quantity = lines.reduce((n, line) => n + line.quantity, 0);
+  if (rules.minQuantity !== undefined && quantity < rules.minQuantity) {
+    return `needs at least ${rules.minQuantity} items, cart has ${quantity}`;
+  }
+  const missingSku = (rules.requiresSkus || []).find(sku => !lines.some(line => line.sku === sku));
+  if (missingSku) return `needs ${missingSku} in the cart`;
+  const missingCategory = (rules.requiresCategories || []).find(c => !lines.some(line => line.category === c));
+  if (missingCategory) return `needs an item from "${missingCategory}"`;
+  if (!lines.some(line => appliesTo(coupon.discount, line))) return "no item in the cart qualifies";
+  return null;
+}
+
+// --------------------------------------------------------
+// 3. Cart
+// --------------------------------------------------------
+
+const JSON_VERSION = 1;
+
+// coupons: { CODE: { discount, rules, exclusive } } — the catalog of known codes.
+// exclusive: true → cannot be combined with other coupons.
+// now: clock for coupon dates (pass a fixed one in tests).
+function createCart({ currency: code = "USD", region, taxRates = TAX_RATES, coupons = {}, now = Date.now } = {}) {
+  const currency = checkCurrency(code);
+  const lines = new Map(); // sku → line (insertion order = display order)
+  const discounts = [];
+  const couponCodes = [];
+  let taxRegion = region;
+  if (taxRegion !== undefined) taxRateFor(taxRates, taxRegion, "standard");
+
+  const cart = {
+    currency,
+
+    get region() {
+      return taxRegion;
+    },
+
+    get items() {
+      return [...lines.values()].map(line => ({ ...line }));
+    },
+
+    // add({ sku, name, unitPrice, category, taxClass }, quantity)
+    // Adding a sku that is already in the cart increases its quantity.
+    add(item, quantity = 1) {
+      if (!item || typeof item.sku !== "string" || item.sku === "") throw new TypeError("Item needs a non-empty string sku");
+      checkMinor(item.unitPrice, `unitPrice of ${item.sku}`);
+      if (item.unitPrice < 0) throw new RangeError(`unitPrice of ${item.sku} must not be negative`);
+      if (!Number.isSafeInteger(quantity) || quantity < 1) {
+        throw new RangeError(`Quantity must be a positive integer, got ${quantity}`);
+      }
+      const existing = lines.get(item.sku);
+      if (existing && existing.unitPrice !== item.unitPrice) {
+        throw new RangeError(`${item.sku} is already in the cart at a different price (${existing.unitPrice})`);
+      }
+      const previous = existing || {};
+      lines.set(item.sku, {
+        sku: item.sku,
+        name: item.name || previous.name || item.sku,
+        unitPrice: item.unitPrice,
+        quantity: (previous.quantity || 0) + quantity,
+        category: item.category !== undefined ? item.category : previous.category,
+        taxClass: item.taxClass || previous.taxClass || "standard",
+      });
+      return cart;
+    },
+
+    // Quantity 0 removes the line.
+    setQuantity(sku, quantity) {
+      if (!lines.has(sku)) throw new RangeError(`${sku} is not in the cart`);
+      if (!Number.isSafeInteger(quantity) || quantity < 0) {
+        throw new RangeError(`Quantity must be a non-negative integer, got ${quantity}`);
+      }
+      if (quantity === 0) lines.delete(sku);
+      else lines.get(sku).quantity = quantity;
+      return cart;
+    },
+
+    remove(sku) {
+      lines.delete(sku);
+      return cart;
+    },
+
+    clear() {
+      lines.clear();
+      discounts.length = 0;
+      couponCodes.length = 0;
+      return cart;
+    },
+
+    setRegion(next) {
+      if (next !== undefined) taxRateFor(taxRates, next, "standard");
+      taxRegion = next;
+      return cart;
+    },
+
+    addDiscount(discount) {
+      discounts.push({ ...checkDiscount(discount) });
+      return cart;
+    },
+
+    // { ok: true } or { ok: false, reason } — like parseGuess, no throwing
+    // for things a shopper can type wrong.
+    applyCoupon(code) {
+      const key = String(code).trim().toUpperCase();
+      const coupon = Object.prototype.hasOwnProperty.call(coupons, key) ? coupons[key] : undefined;
+      if (!coupon) return { ok: false, reason: `Unknown coupon "${code}"` };
+      if (couponCodes.includes(key)) return { ok: false, reason: `${key} is already applied` };
+      checkDiscount(coupon.discount, `coupon ${key}`);
+      if (couponCodes.length && (coupon.exclusive || couponCodes.some(c => coupons[c].exclusive))) {
+        return { ok: false, reason: `${key} cannot be combined with other coupons` };
+      }
+      const { subtotal } = cart.totals();
+      const problem = couponProblem(coupon, [...lines.values()], subtotal, { now, currency });
+      if (problem) return { ok: false, reason: `${key} ${problem}` };
+      couponCodes.push(key);
+      return { ok: true };
+    },
+
+    removeCoupon(code) {
+      const index = couponCodes.indexOf(String(code).trim().toUpperCase());
+      if (index !== -1) couponCodes.splice(index, 1);
+      return cart;
+    },
+
+    // Full breakdown, every amount in minor units.
+    totals() {
+      const rows = [...lines.values()].map(line => ({
+        ...line,
+        subtotal: line.unitPrice * line.quantity,
+        discount: 0,
+      }));
+      const subtotal = rows.reduce((sum, row) => sum + row.subtotal, 0);
+      checkMinor(subtotal, "cart subtotal");
+
+      const appliedCoupons = [];
+      const rejectedCoupons = [];
+      const active = [...discounts];
+      for (const code of couponCodes) {
+        const problem = couponProblem(coupons[code], rows, subtotal, { now, currency });
+        if (problem) rejectedCoupons.push({ code, reason: `${code} ${problem}` });
+        else {
+          appliedCoupons.push(code);
+          active.push(coupons[code].discount);
+        }
+      }
+
+      // Each discount works on what is left after the previous ones.
+      for (const discount of active) {
+        const eligible = rows.filter(row => appliesTo(discount, row));
+        const remaining = eligible.map(row => row.subtotal - row.discount);
+        const base = remaining.reduce((a, b) => a + b, 0);
+        const amount =
+          discount.type === "percent" ? mulDivRound(base, toPpm(discount.value), 1000000) : Math.min(discount.amount, base);
+        allocate(amount, remaining).forEach((part, i) => {
+          eligible[i].discount += part;
+        });
+      }
+
+      const result = rows.map(row => {
+        const taxable = row.subtotal - row.discount;
+        const taxRate = taxRateFor(taxRates, taxRegion, row.taxClass);
+        const tax = mulDivRound(taxable, toPpm(taxRate), 1000000);
+        return { ...row, taxable, taxRate, tax, total: taxable + tax };
+      });
+      const sum = key => result.reduce((total, row) => total + row[key], 0);
+      return {
+        currency,
+        region: taxRegion,
+        lines: result,
+        subtotal,
+        discount: sum("discount"),
+        tax: sum("tax"),
+        total: sum("total"),
+        appliedCoupons,
+        rejectedCoupons,
+      };
+    },
+
+    // inventory: { sku: available } or Map. → { ok, problems: [...] }
+    // problems: { sku, name, requested, available, reason: "unknown" | "out-of-stock" | "insufficient" }
+    validateStock(inventory) {
+      const available = sku => {
+        const value = inventory instanceof Map ? inventory.get(sku) : inventory[sku];
+        return value === undefined ? null : value;
+      };
+      const all = [...lines.values()];
+      const problems = all
+        .filter(line => !(available(line.sku) >= line.quantity))
+        .map(line => {
+          const stock = available(line.sku);
+          const reason = stock === null ? "unknown" : stock <= 0 ? "out-of-stock" : "insufficient";
+          return { sku: line.sku, name: line.name, requested: line.quantity, available: stock, reason };
+        });
+      return { ok: all.every(line => available(line.sku) >= line.quantity), problems };
+    },
+
+    // Quick checks in the spirit of some()/every().
+    hasOutOfStock(inventory) {
+      return [...lines.values()].some(line => {
+        const value = inventory instanceof Map ? inventory.get(line.sku) : inventory[line.sku];
+        return !(value > 0);
+      });
+    },
+
+    toJSON() {
+      return {
+        version: JSON_VERSION,
+        currency,
+        region: taxRegion,
+        items: cart.items,
+        discounts: discounts.map(d => ({ ...d })),
+        coupons: [...couponCodes],
+      };
+    },
+  };
+  return cart;
+}
+
+// Rebuild a cart from toJSON() output (object or JSON string). Everything
+// goes through add()/addDiscount() again, so a tampered payload is rejected.
+// Coupons are re-applied; the ones that no longer qualify are returned.
+function cartFromJSON(json, options = {}) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (!data || data.version !== JSON_VERSION) {
+    throw new RangeError(`Unsupported cart JSON version ${data && data.version}, expected ${JSON_VERSION}`);
+  }
+  const cart = createCart({ ...options, currency: data.currency, region: data.region });
+  for (const { quantity, ...item } of data.items || []) cart.add(item, quantity);
+  for (const discount of data.discounts || []) cart.addDiscount(discount);
+  const rejectedCoupons = [];
+  for (const code of data.coupons || []) {
+    const result = cart.applyCoupon(code);
+    if (!result.ok) rejectedCoupons.push({ code, reason: result.reason });
+  }
+  return { cart, rejectedCoupons };
+}
+
+module.exports = {
+  TAX_RATES,
+  toMinor,
+  formatMoney,
+  allocate,
+  createCart,
+  cartFromJSON,
+};
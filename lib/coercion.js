@@ -0,0 +1,429 @@
+// ========================================================
+// Shared: Coercion Explainer (why "5" + 5 === "55")
+// ========================================================
+// - Runs the ECMAScript abstract operations step by step and records
+//   every decision, so "JS gotchas" can be answered with the actual rules.
+// - Supported operators: +  -  ==  ===  <
+// - Abstract operations traced:
+//     • ToPrimitive  (hint "default" / "number" / "string")
+//     • ToNumber, ToNumeric, ToString
+//     • IsLooselyEqual (==), IsStrictlyEqual (===), IsLessThan (<)
+// - Results are computed by the traced algorithm itself, then checked
+//   against the real operator so the trace can never lie.
+//
+// CLI:
+//   node lib/coercion.js '"5"' + 5
+//   node lib/coercion.js null == undefined
+//   node lib/coercion.js '[]' '<' '{}'
+
+// --------------------------------------------------------
+// 1. Helpers
+// --------------------------------------------------------
+
+const OPERATORS = ["+", "-", "==", "===", "<"];
+
+// Spec-style type names: Undefined, Null, Boolean, String, Symbol, Number, BigInt, Object
+function typeOf(value) {
+  if (value === null) return "Null";
+  const t = typeof value;
+  if (t === "function" || t === "object") return "Object";
+  if (t === "bigint") return "BigInt";
+  return t[0].toUpperCase() + t.slice(1);
+}
+
+function isPrimitive(value) {
+  return typeOf(value) !== "Object";
+}
+
+// Readable literal form of a value for the trace.
+function show(value) {
+  switch (typeOf(value)) {
+    case "String": return JSON.stringify(value);
+    case "BigInt": return `${value}n`;
+    case "Number": return Object.is(value, -0) ? "-0" : String(value);
+    case "Symbol": return value.toString();
+    case "Object":
+      if (typeof value === "function") return `function ${value.name || "(anonymous)"}`;
+      if (Array.isArray(value)) return `[${value.map(show).join(", ")}]`;
+      if (Object.prototype.toString.call(value) === "[object Date]") {
+        return Number.isNaN(value.getTime()) ? "Date(Invalid)" : `Date(${value.toISOString()})`;
+      }
+      return `{${Object.keys(value).join(", ")}}`;
+    default: return String(value);
+  }
+}
+
+function createTracer() {
+  const steps = [];
+  let depth = 0;
+  return {
+    steps,
+    userCode: false, // set once a valueOf/toString that is not built in has run
+    log(text) {
+      steps.push({ depth, text });
+    },
+    // Run fn one level deeper so nested operations are indented.
+    nest(title, fn) {
+      this.log(title);
+      depth++;
+      try {
+        return fn();
+      } finally {
+        depth--;
+      }
+    },
+  };
+}
+
+// --------------------------------------------------------
+// 2. Abstract Operations
+// --------------------------------------------------------
+
+// Built-ins like Object.prototype.valueOf print as "[native code]".
+const isNative = fn => /\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(fn));
+
+function toPrimitive(t, input, hint = "default") {
+  return t.nest(`ToPrimitive(${show(input)}, hint "${hint}")`, () => {
+    if (isPrimitive(input)) {
+      t.log(`${typeOf(input)} is already primitive → ${show(input)}`);
+      return input;
+    }
+
+    const exotic = input[Symbol.toPrimitive];
+    if (exotic != null) {
+      t.log(`Object has [Symbol.toPrimitive] → call it with "${hint}"`);
+      if (!isNative(exotic)) t.userCode = true;
+      const result = exotic.call(input, hint);
+      if (!isPrimitive(result)) throw new TypeError("Cannot convert object to primitive value");
+      t.log(`returned ${show(result)}`);
+      return result;
+    }
+
+    // OrdinaryToPrimitive: "string" tries toString first, otherwise valueOf first.
+    const order = hint === "string" ? ["toString", "valueOf"] : ["valueOf", "toString"];
+    t.log(`OrdinaryToPrimitive → try ${order.join("(), then ")}()`);
+    for (const name of order) {
+      const method = input[name];
+      if (typeof method !== "function") {
+        t.log(`${name} is not callable, skip`);
+        continue;
+      }
+      if (!isNative(method)) t.userCode = true;
+      const result = method.call(input);
+      if (isPrimitive(result)) {
+        t.log(`${name}() returned primitive ${show(result)} → use it`);
+        return result;
+      }
+      t.log(`${name}() returned an object (${show(result)}) → ignore`);
+    }
+    t.log("no method returned a primitive → TypeError");
+    throw new TypeError("Cannot convert object to primitive value");
+  });
+}
+
+// StringToNumber: trims whitespace, "" → 0, allows 0x/0o/0b, otherwise NaN.
+function stringToNumber(t, str) {
+  const result = Number(str);
+  if (str.trim() === "") t.log(`${show(str)} is empty/whitespace → 0`);
+  else if (Number.isNaN(result)) t.log(`${show(str)} is not a numeric literal → NaN`);
+  else t.log(`${show(str)} parses as numeric literal → ${show(result)}`);
+  return result;
+}
+
+function toNumber(t, value) {
+  return t.nest(`ToNumber(${show(value)})`, () => {
+    switch (typeOf(value)) {
+      case "Undefined": t.log("undefined → NaN"); return NaN;
+      case "Null": t.log("null → +0"); return 0;
+      case "Boolean": t.log(`${value} → ${value ? 1 : 0}`); return value ? 1 : 0;
+      case "Number": t.log("already a Number"); return value;
+      case "String": return stringToNumber(t, value);
+      case "Symbol": t.log("Symbol → TypeError"); throw new TypeError("Cannot convert a Symbol value to a number");
+      case "BigInt": t.log("BigInt → TypeError"); throw new TypeError("Cannot convert a BigInt value to a number");
+      default: {
+        const prim = toPrimitive(t, value, "number");
+        return toNumber(t, prim);
+      }
+    }
+  });
+}
+
+// ToNumeric: like ToNumber, but lets BigInt through.
+function toNumeric(t, value) {
+  return t.nest(`ToNumeric(${show(value)})`, () => {
+    const prim = toPrimitive(t, value, "number");
+    if (typeOf(prim) === "BigInt") {
+      t.log("primitive is a BigInt → keep it");
+      return prim;
+    }
+    return toNumber(t, prim);
+  });
+}
+
+function toString(t, value) {
+  return t.nest(`ToString(${show(value)})`, () => {
+    switch (typeOf(value)) {
+      case "Symbol": t.log("Symbol → TypeError"); throw new TypeError("Cannot convert a Symbol value to a string");
+      case "Object": {
+        const prim = toPrimitive(t, value, "string");
+        return toString(t, prim);
+      }
+      default: {
+        const result = String(value);
+        t.log(`${typeOf(value)} → ${show(result)}`);
+        return result;
+      }
+    }
+  });
+}
+
+// --------------------------------------------------------
+// 3. Operators
+// --------------------------------------------------------
+
+function numericOp(t, lnum, rnum, op) {
+  if (typeOf(lnum) !== typeOf(rnum)) {
+    t.log(`${typeOf(lnum)} ${op} ${typeOf(rnum)} → TypeError (cannot mix BigInt and Number)`);
+    throw new TypeError("Cannot mix BigInt and other types, use explicit conversions");
+  }
+  const result = op === "+" ? lnum + rnum : lnum - rnum;
+  t.log(`${typeOf(lnum)} arithmetic: ${show(lnum)} ${op} ${show(rnum)} = ${show(result)}`);
+  return result;
+}
+
+function addition(t, left, right) {
+  return t.nest(`Evaluate ${show(left)} + ${show(right)}`, () => {
+    const lprim = toPrimitive(t, left);
+    const rprim = toPrimitive(t, right);
+    if (typeOf(lprim) === "String" || typeOf(rprim) === "String") {
+      t.log("one side is a String → string concatenation");
+      const result = toString(t, lprim) + toString(t, rprim);
+      t.log(`concatenate → ${show(result)}`);
+      return result;
+    }
+    t.log("no String involved → numeric addition");
+    return numericOp(t, toNumeric(t, lprim), toNumeric(t, rprim), "+");
+  });
+}
+
+function subtraction(t, left, right) {
+  return t.nest(`Evaluate ${show(left)} - ${show(right)}`, () => {
+    t.log("- is always numeric (no string case)");
+    return numericOp(t, toNumeric(t, left), toNumeric(t, right), "-");
+  });
+}
+
+function isStrictlyEqual(t, x, y) {
+  return t.nest(`IsStrictlyEqual(${show(x)}, ${show(y)})`, () => {
+    if (typeOf(x) !== typeOf(y)) {
+      t.log(`types differ (${typeOf(x)} vs ${typeOf(y)}) → false, no coercion`);
+      return false;
+    }
+    if (typeOf(x) === "Number") {
+      if (Number.isNaN(x) || Number.isNaN(y)) {
+        t.log("NaN is never equal to anything → false");
+        return false;
+      }
+      t.log("compare numeric values (+0 and -0 count as equal)");
+      return x === y;
+    }
+    if (typeOf(x) === "Object") {
+      t.log(`objects are equal only if they are the same reference → ${x === y}`);
+      return x === y;
+    }
+    t.log(`same type, compare values → ${x === y}`);
+    return x === y;
+  });
+}
+
+function isLooselyEqual(t, x, y) {
+  return t.nest(`IsLooselyEqual(${show(x)}, ${show(y)})`, () => {
+    const tx = typeOf(x);
+    const ty = typeOf(y);
+
+    if (tx === ty) {
+      t.log("step 1: same type → use IsStrictlyEqual");
+      return isStrictlyEqual(t, x, y);
+    }
+    if ((x == null) && (y == null)) {
+      t.log("step 2-3: null and undefined are loosely equal to each other → true");
+      return true;
+    }
+    if (tx === "Number" && ty === "String") {
+      t.log("step 5: Number == String → convert the String");
+      return isLooselyEqual(t, x, toNumber(t, y));
+    }
+    if (tx === "String" && ty === "Number") {
+      t.log("step 6: String == Number → convert the String");
+      return isLooselyEqual(t, toNumber(t, x), y);
+    }
+    if (tx === "BigInt" && ty === "String") {
+      t.log("step 7: BigInt == String → StringToBigInt");
+      let n;
+      try { n = BigInt(y); } catch { n = undefined; }
+      if (n === undefined) {
+        t.log(`${show(y)} is not a BigInt literal → false`);
+        return false;
+      }
+      return isLooselyEqual(t, x, n);
+    }
+    if (tx === "String" && ty === "BigInt") {
+      t.log("step 8: String == BigInt → swap operands");
+      return isLooselyEqual(t, y, x);
+    }
+    if (tx === "Boolean") {
+      t.log("step 9: Boolean on the left → ToNumber it");
+      return isLooselyEqual(t, toNumber(t, x), y);
+    }
+    if (ty === "Boolean") {
+      t.log("step 10: Boolean on the right → ToNumber it");
+      return isLooselyEqual(t, x, toNumber(t, y));
+    }
+    if (["String", "Number", "BigInt", "Symbol"].includes(tx) && ty === "Object") {
+      t.log("step 11: primitive == Object → ToPrimitive the Object");
+      return isLooselyEqual(t, x, toPrimitive(t, y));
+    }
+    if (tx === "Object" && ["String", "Number", "BigInt", "Symbol"].includes(ty)) {
+      t.log("step 12: Object == primitive → ToPrimitive the Object");
+      return isLooselyEqual(t, toPrimitive(t, x), y);
+    }
+    if ((tx === "BigInt" && ty === "Number") || (tx === "Number" && ty === "BigInt")) {
+      t.log("step 13: BigInt vs Number → compare mathematical values");
+      if (!Number.isFinite(tx === "Number" ? x : y)) {
+        t.log("NaN/Infinity never equals a BigInt → false");
+        return false;
+      }
+      return x == y; // loose on purpose: 10n == 10 compares the values
+    }
+    t.log(`step 14: no rule matches ${tx} == ${ty} → false`);
+    return false;
+  });
+}
+
+function isLessThan(t, x, y) {
+  return t.nest(`IsLessThan(${show(x)}, ${show(y)})`, () => {
+    const px = toPrimitive(t, x, "number");
+    const py = toPrimitive(t, y, "number");
+
+    if (typeOf(px) === "String" && typeOf(py) === "String") {
+      const result = px < py;
+      t.log(`both Strings → compare UTF-16 code units: ${show(px)} < ${show(py)} is ${result}`);
+      return result;
+    }
+    if (typeOf(px) === "BigInt" && typeOf(py) === "String") {
+      t.log("BigInt < String → StringToBigInt the right side");
+    } else if (typeOf(px) === "String" && typeOf(py) === "BigInt") {
+      t.log("String < BigInt → StringToBigInt the left side");
+    }
+
+    const nx = typeOf(px) === "String" && typeOf(py) === "BigInt" ? px : toNumeric(t, px);
+    const ny = typeOf(py) === "String" && typeOf(px) === "BigInt" ? py : toNumeric(t, py);
+    if ((typeof nx === "number" && Number.isNaN(nx)) || (typeof ny === "number" && Number.isNaN(ny))) {
+      t.log("a side is NaN → undefined, which < reports as false");
+      return false;
+    }
+    const result = nx < ny;
+    t.log(`compare mathematical values: ${show(nx)} < ${show(ny)} is ${result}`);
+    return result;
+  });
+}
+
+// --------------------------------------------------------
+// 4. Public API
+// --------------------------------------------------------
+
+const EVALUATORS = {
+  "+": addition,
+  "-": subtraction,
+  "==": isLooselyEqual,
+  "===": isStrictlyEqual,
+  "<": isLessThan,
+};
+
+// What the engine itself says, used as a cross-check.
+function native(left, op, right) {
+  switch (op) {
+    case "+": return left + right;
+    case "-": return left - right;
+    case "==": return left == right; // loose on purpose, this is what we explain
+    case "===": return left === right;
+    case "<": return left < right;
+  }
+}
+
+// explain("5", "+", 5) → { expression, result, error, steps: [{ depth, text }] }
+function explain(left, op, right) {
+  if (!OPERATORS.includes(op)) {
+    throw new RangeError(`Unsupported operator "${op}", expected one of ${OPERATORS.join(" ")}`);
+  }
+  const t = createTracer();
+  const expression = `${show(left)} ${op} ${show(right)}`;
+  let result;
+  let error = null;
+
+  try {
+    result = EVALUATORS[op](t, left, right);
+  } catch (err) {
+    error = err;
+    t.log(`✖ ${err.name}: ${err.message}`);
+  }
+
+  // Running the operation again would call the user's own valueOf/toString
+  // a second time; a stateful one ({ n: 0, valueOf() { return ++this.n } })
+  // then returns something else, so only built-in conversions are re-checked.
+  if (!error && t.userCode) {
+    t.log(`✔ ${expression} → ${show(result)} (not re-run: it calls your own conversion method)`);
+  } else if (!error) {
+    const expected = native(left, op, right);
+    if (!Object.is(expected, result)) {
+      throw new Error(`Trace for ${expression} gave ${show(result)} but JS gives ${show(expected)}`);
+    }
+    t.log(`✔ ${expression} → ${show(result)}`);
+  }
+
+  return { expression, operator: op, result, error, steps: t.steps };
+}
+
+function formatTrace({ steps }) {
+  return steps.map(({ depth, text }) => `${"  ".repeat(depth)}${text}`).join("\n");
+}
+
+// --------------------------------------------------------
+// 5. CLI
+// --------------------------------------------------------
+
+// Operands are JS literals: 5, "5", null, [], {}, 10n, new Date(0) ...
+function parseOperand(source) {
+  const vm = require("vm");
+  return vm.runInNewContext(`(${source})`, {}, { timeout: 100 });
+}
+
+function main(argv) {
+  if (argv.length !== 3 || !OPERATORS.includes(argv[1])) {
+    console.error(`Usage: node lib/coercion.js <left> <${OPERATORS.join("|")}> <right>`);
+    console.error(`Example: node lib/coercion.js '"5"' + 5`);
+    return 1;
+  }
+  let left, right;
+  try {
+    left = parseOperand(argv[0]);
+    right = parseOperand(argv[2]);
+  } catch (err) {
+    console.error(`Cannot read operand: ${err.message}`);
+    return 1;
+  }
+  console.log(formatTrace(explain(left, argv[1], right)));
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  OPERATORS,
+  explain,
+  formatTrace,
+  typeOf,
+  show,
+};
@@ -0,0 +1,397 @@
+// ========================================================
+// Shared: Data I/O (CSV & NDJSON)
+// ========================================================
+// - CSV follows RFC 4180:
+//     fields are separated by a delimiter (default ","), records by CRLF or LF
+//     a field in double quotes may contain delimiters, quotes ("") and newlines
+//   line.split(",") breaks on all three, so this is a real state machine.
+// - NDJSON = one JSON value per line (also called JSON Lines), good for
+//   logs and exports that are too big for one JSON array.
+// - A schema turns text into types: { age: "integer", joined: "date" }.
+//   Everything read from a CSV is a string until then.
+// - Errors say where: "Unclosed quote at line 4, column 12".
+//
+//   parseCSV("name,age\nAna,30", { schema: { age: "integer" } })
+//   → [{ name: "Ana", age: 30 }]
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+
+class DataError extends Error {
+  constructor(message, line, column) {
+    const where = line ? ` at line ${line}${column ? `, column ${column}` : ""}` : "";
+    super(`${message}${where}`);
+    this.name = "DataError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// --------------------------------------------------------
+// 1. Schema
+// --------------------------------------------------------
+
+const TYPES = {
+  string: value => value,
+  number: value => {
+    const n = Number(value);
+    if (value.trim() === "" || Number.isNaN(n)) throw new TypeError(`"${value}" is not a number`);
+    return n;
+  },
+  integer: value => {
+    if (!/^\s*[-+]?\d+\s*$/.test(value)) throw new TypeError(`"${value}" is not an integer`);
+    const n = Number(value);
+    if (!Number.isSafeInteger(n)) throw new RangeError(`${value} is too big for an integer`);
+    return n;
+  },
+  boolean: value => {
+    const text = value.trim().toLowerCase();
+    if (["true", "yes", "1", "y"].includes(text)) return true;
+    if (["false", "no", "0", "n"].includes(text)) return false;
+    throw new TypeError(`"${value}" is not a boolean (true/false, yes/no, 1/0)`);
+  },
+  date: value => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new TypeError(`"${value}" is not a date`);
+    return date;
+  },
+  json: value => JSON.parse(value),
+};
+
+// "integer" or { type: "integer", required: true, default: 0 }
+function normalizeField(name, spec) {
+  const field = typeof spec === "string" || typeof spec === "function" ? { type: spec } : { ...spec };
+  if (typeof field.type !== "function" && !Object.prototype.hasOwnProperty.call(TYPES, field.type)) {
+    throw new RangeError(`Field "${name}": unknown type "${field.type}", expected one of ${Object.keys(TYPES).join(", ")} or a function`);
+  }
+  return { name, parse: typeof field.type === "function" ? field.type : TYPES[field.type], ...field };
+}
+
+function compileSchema(schema) {
+  return Object.entries(schema).map(([name, spec]) => normalizeField(name, spec));
+}
+
+// Empty text / null / undefined → default, error if required, else null.
+// Non-string values (from NDJSON) are only checked by type, not re-parsed.
+function coerceRow(row, fields, line) {
+  const result = { ...row };
+  for (const field of fields) {
+    const raw = row[field.name];
+    if (raw === undefined || raw === null || raw === "") {
+      if (field.default !== undefined) result[field.name] = field.default;
+      else if (field.required) throw new DataError(`Missing required field "${field.name}"`, line);
+      else result[field.name] = null;
+      continue;
+    }
+    if (typeof raw !== "string") {
+      result[field.name] = raw;
+      continue;
+    }
+    try {
+      result[field.name] = field.parse(raw);
+    } catch (err) {
+      throw new DataError(`Field "${field.name}": ${err.message}`, line);
+    }
+  }
+  return result;
+}
+
+// Apply a schema to rows that are already objects (JSON, form data, ...).
+function coerce(rows, schema) {
+  if (!Array.isArray(rows)) throw new TypeError("coerce() expects an array of rows");
+  const fields = compileSchema(schema);
+  return rows.map((row, i) => {
+    try {
+      return coerceRow(row, fields);
+    } catch (err) {
+      if (err instanceof DataError) err.message = `Row ${i + 1}: ${err.message}`;
+      throw err;
+    }
+  });
+}
+
+// --------------------------------------------------------
+// 2. CSV
+// --------------------------------------------------------
+
+function checkDelimiter(delimiter) {
+  if (typeof delimiter !== "string" || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new RangeError(`Delimiter must be one character other than a quote or newline, got ${JSON.stringify(delimiter)}`);
+  }
+}
+
+// Raw records: array of arrays of strings, each with the line it started on.
+function tokenizeCSV(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false; // inside "..."
+  let wasQuoted = false; // current field started with a quote
+  let line = 1;
+  let column = 0;
+  let recordLine = 1;
+  let quoteLine = 0;
+  let quoteColumn = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    records.push({ fields: record, line: recordLine });
+    record = [];
+  };
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const ch = text[i];
+    column++;
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+          column++;
+        } else {
+          quoted = false;
+          const next = text[i + 1];
+          if (next !== undefined && next !== delimiter && next !== "\r" && next !== "\n") {
+            throw new DataError(`Unexpected character after closing quote`, line, column + 1);
+          }
+        }
+      } else {
+        if (ch === "\n") {
+          line++;
+          column = 0;
+        }
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      if (field !== "" || wasQuoted) throw new DataError(`Quote inside an unquoted field`, line, column);
+      quoted = true;
+      wasQuoted = true;
+      quoteLine = line;
+      quoteColumn = column;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      column = 0;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new DataError("Unclosed quote", quoteLine, quoteColumn);
+  // Last record without a trailing newline.
+  if (field !== "" || wasQuoted || record.length) endRecord();
+  return records;
+}
+
+// options:
+//   delimiter  "," (use "\t" for TSV, ";" for European Excel)
+//   header     true → first record names the columns, false → arrays,
+//              ["a", "b"] → use these names, the file has no header row
+//   mapHeaders { "First Name": "firstName" } or (name, index) => newName
+//              (return null to drop the column)
+//   schema     { age: "integer", ... } see TYPES
+//   relaxColumnCount  false → a record with a different number of fields throws
+//   skipEmptyLines    true
+function parseCSV(text, { delimiter = ",", header = true, mapHeaders, schema, relaxColumnCount = false, skipEmptyLines = true } = {}) {
+  if (typeof text !== "string") throw new TypeError(`parseCSV() expects a string, got ${typeof text}`);
+  checkDelimiter(delimiter);
+  let records = tokenizeCSV(text, delimiter);
+  if (skipEmptyLines) records = records.filter(r => !(r.fields.length === 1 && r.fields[0] === ""));
+  if (records.length === 0) return [];
+
+  if (header === false) {
+    if (schema) throw new TypeError("A schema needs column names, use header: true or header: [...]");
+    return records.map(r => r.fields);
+  }
+
+  let names;
+  if (Array.isArray(header)) names = header.map(String);
+  else names = records.shift().fields.map(name => name.trim());
+
+  if (mapHeaders) {
+    const map = typeof mapHeaders === "function" ? mapHeaders : name => (Object.prototype.hasOwnProperty.call(mapHeaders, name) ? mapHeaders[name] : name);
+    names = names.map((name, i) => map(name, i));
+  }
+  const seen = new Set();
+  for (const name of names) {
+    if (name === null || name === undefined) continue;
+    if (seen.has(name)) throw new DataError(`Duplicate column name "${name}"`, 1);
+    seen.add(name);
+  }
+
+  const fields = schema ? compileSchema(schema) : null;
+  return records.map(({ fields: values, line }) => {
+    if (values.length !== names.length && !relaxColumnCount) {
+      throw new DataError(`Expected ${names.length} fields, got ${values.length}`, line);
+    }
+    const row = {};
+    names.forEach((name, i) => {
+      if (name !== null && name !== undefined) row[name] = i < values.length ? values[i] : "";
+    });
+    return fields ? coerceRow(row, fields, line) : row;
+  });
+}
+
+function stringifyValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function quoteField(text, delimiter) {
+  return text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: objects (columns = union of keys, first-seen order) or arrays.
+// columns: ["id", "name"] or { id: "ID", name: "Full name" } (key → header text)
+function writeCSV(rows, { columns, delimiter = ",", header = true, newline = "\r\n" } = {}) {
+  if (!Array.isArray(rows)) throw new TypeError("writeCSV() expects an array of rows");
+  checkDelimiter(delimiter);
+  const arrays = rows.length > 0 && rows.every(Array.isArray);
+
+  let keys;
+  let titles;
+  if (columns && !Array.isArray(columns)) {
+    keys = Object.keys(columns);
+    titles = Object.values(columns);
+  } else if (columns) {
+    keys = titles = columns;
+  } else if (arrays) {
+    keys = [...Array(rows.reduce((most, r) => Math.max(most, r.length), 0)).keys()];
+    titles = null;
+  } else {
+    const set = new Set();
+    for (const row of rows) for (const key of Object.keys(row)) set.add(key);
+    keys = titles = [...set];
+  }
+
+  const line = values => values.map(v => quoteField(stringifyValue(v), delimiter)).join(delimiter);
+  const lines = rows.map(row => line(keys.map(k => row[k])));
+  if (header && titles) lines.unshift(line(titles));
+  return lines.length ? lines.join(newline) + newline : "";
+}
+
+// --------------------------------------------------------
+// 3. NDJSON
+// --------------------------------------------------------
+
+function parseNDJSON(text, { schema } = {}) {
+  if (typeof text !== "string") throw new TypeError(`parseNDJSON() expects a string, got ${typeof text}`);
+  const fields = schema ? compileSchema(schema) : null;
+  const rows = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (raw.trim() === "") return;
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      throw new DataError(`Invalid JSON (${err.message})`, i + 1);
+    }
+    if (fields) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new DataError("A schema needs one JSON object per line", i + 1);
+      }
+      value = coerceRow(value, fields, i + 1);
+    }
+    rows.push(value);
+  });
+  return rows;
+}
+
+function writeNDJSON(rows) {
+  if (!Array.isArray(rows)) throw new TypeError("writeNDJSON() expects an array");
+  return rows.map((row, i) => {
+    const text = JSON.stringify(row);
+    if (text === undefined) throw new TypeError(`Row ${i} cannot be written as JSON`);
+    return `${text}\n`;
+  }).join("");
+}
+
+// --------------------------------------------------------
+// 4. Files
+// --------------------------------------------------------
+
+// Format from the extension: .csv, .tsv (tab delimiter), .ndjson / .jsonl, .json
+function formatOf(file, format) {
+  const ext = format || path.extname(file).slice(1).toLowerCase();
+  if (ext === "jsonl") return "ndjson";
+  if (!["csv", "tsv", "ndjson", "json"].includes(ext)) {
+    throw new RangeError(`Unknown data format "${ext}" for ${file}, pass { format: "csv" | "tsv" | "ndjson" | "json" }`);
+  }
+  return ext;
+}
+
+function parseAs(format, text, options) {
+  if (format === "csv") return parseCSV(text, options);
+  if (format === "tsv") return parseCSV(text, { delimiter: "\t", ...options });
+  if (format === "ndjson") return parseNDJSON(text, options);
+  const data = JSON.parse(text);
+  return options.schema && Array.isArray(data) ? coerce(data, options.schema) : data;
+}
+
+function writeAs(format, rows, options) {
+  if (format === "csv") return writeCSV(rows, options);
+  if (format === "tsv") return writeCSV(rows, { delimiter: "\t", ...options });
+  if (format === "ndjson") return writeNDJSON(rows);
+  return `${JSON.stringify(rows, null, 2)}\n`;
+}
+
+// Errors name the file: "people.csv: Expected 2 fields, got 3 at line 4"
+function withFile(file, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (err instanceof DataError) err.message = `${file}: ${err.message}`;
+    throw err;
+  }
+}
+
+function readDataSync(file, options = {}) {
+  const format = formatOf(file, options.format);
+  return withFile(file, () => parseAs(format, fs.readFileSync(file, "utf8"), options));
+}
+
+async function readData(file, options = {}) {
+  const format = formatOf(file, options.format);
+  const text = await fsp.readFile(file, "utf8");
+  return withFile(file, () => parseAs(format, text, options));
+}
+
+async function writeData(file, rows, options = {}) {
+  const format = formatOf(file, options.format);
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await fsp.writeFile(file, writeAs(format, rows, options));
+}
+
+function writeDataSync(file, rows, options = {}) {
+  const format = formatOf(file, options.format);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, writeAs(format, rows, options));
+}
+
+module.exports = {
+  DataError,
+  TYPES,
+  parseCSV,
+  writeCSV,
+  parseNDJSON,
+  writeNDJSON,
+  coerce,
+  readData,
+  readDataSync,
+  writeData,
+  writeDataSync,
+};
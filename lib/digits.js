@@ -0,0 +1,167 @@
+// ========================================================
+// Shared: Digit Math (any base from 2 to 36)
+// ========================================================
+// - digits(n, base)          → [most significant, ..., least]
+// - reverseDigits(n, base)   → 12345 → 54321 (Day 5 Q14)
+// - isNarcissistic(n, base)  → sum of each digit ^ (number of digits) === n
+//     153 = 1³ + 5³ + 3³ (3 digits), 9474 = 9⁴ + 4⁴ + 7⁴ + 4⁴ (4 digits)
+//     "Armstrong number" is the same thing in base 10.
+// - Related predicates:
+//     isHappy      → repeatedly sum squared digits, ends at 1
+//     isPerfect    → equals the sum of its proper divisors (6 = 1 + 2 + 3)
+//     isHarshad    → divisible by its digit sum (18 / 9)
+//     isKaprekar   → n² splits into two parts that add up to n (45² = 2025, 20 + 25)
+//     isPalindromic→ reads the same both ways in that base
+// - findInRange(from, to, predicate, base) enumerates matches.
+
+const { factorize } = require("./number-theory");
+
+// --------------------------------------------------------
+// 1. Digits
+// --------------------------------------------------------
+
+function checkBase(base) {
+  if (!Number.isInteger(base) || base < 2 || base > 36) {
+    throw new RangeError(`Base must be an integer from 2 to 36, got ${base}`);
+  }
+}
+
+function checkNumber(n) {
+  if (!Number.isSafeInteger(n) || n < 0) {
+    throw new RangeError(`Expected a non-negative safe integer, got ${n}`);
+  }
+}
+
+function digits(n, base = 10) {
+  checkNumber(n);
+  checkBase(base);
+  if (n === 0) return [0];
+  const out = [];
+  for (let rest = n; rest > 0; rest = Math.floor(rest / base)) out.push(rest % base);
+  return out.reverse();
+}
+
+function fromDigits(list, base = 10) {
+  checkBase(base);
+  return list.reduce((value, d) => value * base + d, 0);
+}
+
+// 1200 → 21 (trailing zeros drop, like the Day 5 while-loop did)
+function reverseDigits(n, base = 10) {
+  return fromDigits(digits(n, base).reverse(), base);
+}
+
+function digitSum(n, base = 10) {
+  return digits(n, base).reduce((sum, d) => sum + d, 0);
+}
+
+// --------------------------------------------------------
+// 2. Predicates
+// --------------------------------------------------------
+
+function isNarcissistic(n, base = 10) {
+  const list = digits(n, base);
+  const power = BigInt(list.length);
+  // BigInt: 9^20 and friends are far beyond 2^53.
+  const sum = list.reduce((total, d) => total + BigInt(d) ** power, 0n);
+  return sum === BigInt(n);
+}
+
+function isPalindromic(n, base = 10) {
+  const list = digits(n, base);
+  return list.every((d, i) => d === list[list.length - 1 - i]);
+}
+
+function isHarshad(n, base = 10) {
+  return n > 0 && n % digitSum(n, base) === 0;
+}
+
+// Unhappy numbers fall into a loop → stop when a value repeats.
+function isHappy(n, base = 10) {
+  checkNumber(n);
+  if (n === 0) return false;
+  const seen = new Set();
+  let current = n;
+  while (current !== 1 && !seen.has(current)) {
+    seen.add(current);
+    current = digits(current, base).reduce((sum, d) => sum + d * d, 0);
+  }
+  return current === 1;
+}
+
+// σ(n) from the prime factorization: product of (p^(e+1) - 1) / (p - 1).
+function isPerfect(n) {
+  checkNumber(n);
+  if (n < 2) return false;
+  const sigma = factorize(n).reduce(
+    (product, { prime, exponent }) => product * ((BigInt(prime) ** BigInt(exponent + 1) - 1n) / BigInt(prime - 1)),
+    1n
+  );
+  return sigma - BigInt(n) === BigInt(n);
+}
+
+// Split n² (written in `base`) into left|right with right > 0 and left + right === n.
+function isKaprekar(n, base = 10) {
+  checkNumber(n);
+  checkBase(base);
+  if (n === 0) return false;
+  if (n === 1) return true;
+
+  const big = BigInt(n);
+  const b = BigInt(base);
+  const square = big * big;
+  for (let divisor = b; divisor <= square; divisor *= b) {
+    const left = square / divisor;
+    const right = square % divisor;
+    if (right > 0n && left + right === big) return true;
+  }
+  return false;
+}
+
+// --------------------------------------------------------
+// 3. Enumeration
+// --------------------------------------------------------
+
+const PREDICATES = {
+  narcissistic: isNarcissistic,
+  palindromic: isPalindromic,
+  harshad: isHarshad,
+  happy: isHappy,
+  perfect: isPerfect,
+  kaprekar: isKaprekar,
+};
+
+// findInRange(1, 10000, "narcissistic") → [1, ..., 9, 153, 370, 371, 407, 1634, 8208, 9474]
+// predicate: a name from PREDICATES or any (n, base) => boolean
+function findInRange(from, to, predicate, base = 10) {
+  checkNumber(from);
+  checkNumber(to);
+  checkBase(base);
+  const test = typeof predicate === "function" ? predicate : PREDICATES[predicate];
+  if (!test) {
+    throw new RangeError(`Unknown predicate "${predicate}", expected one of ${Object.keys(PREDICATES).join(", ")}`);
+  }
+  const found = [];
+  for (let n = from; n <= to; n++) if (test(n, base)) found.push(n);
+  return found;
+}
+
+function narcissisticInRange(from, to, base = 10) {
+  return findInRange(from, to, isNarcissistic, base);
+}
+
+module.exports = {
+  digits,
+  fromDigits,
+  reverseDigits,
+  digitSum,
+  isNarcissistic,
+  isPalindromic,
+  isHarshad,
+  isHappy,
+  isPerfect,
+  isKaprekar,
+  findInRange,
+  narcissisticInRange,
+  PREDICATES,
+};
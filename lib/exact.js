@@ -0,0 +1,258 @@
+// ========================================================
+// Shared: Exact Arithmetic (number / bigint / decimal modes)
+// ========================================================
+// - Plain numbers are 64-bit floats:
+//     • 0.1 + 0.2 → 0.30000000000000004 (binary can't store 0.1 exactly)
+//     • integers above 2^53 lose precision (productAll(...) overflows)
+// - This module adds up / multiplies values in one of three modes:
+//     "number"  → plain floats (the default, same as reduce)
+//     "bigint"  → exact integers of any size, returns a BigInt
+//     "decimal" → exact fractions (Rational), 0.1 + 0.2 === 0.3 exactly,
+//                 safe for money-style arithmetic
+// - Inputs are validated per mode and rejected with a clear error
+//   instead of silently giving the wrong answer.
+
+// --------------------------------------------------------
+// 1. Rational (exact decimal arithmetic)
+// --------------------------------------------------------
+
+function bigAbs(n) {
+  return n < 0n ? -n : n;
+}
+
+function bigGcd(a, b) {
+  a = bigAbs(a);
+  b = bigAbs(b);
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+const DECIMAL = /^([-+]?)(\d*)(?:\.(\d*))?(?:e([-+]?\d+))?$/i;
+const MAX_EXPONENT = 10000;
+
+class Rational {
+  constructor(numerator, denominator = 1n) {
+    if (typeof numerator !== "bigint" || typeof denominator !== "bigint") {
+      throw new TypeError("Rational parts must be BigInts, use Rational.from() for other values");
+    }
+    if (denominator === 0n) throw new RangeError("Division by zero");
+    if (denominator < 0n) {
+      numerator = -numerator;
+      denominator = -denominator;
+    }
+    const g = bigGcd(numerator, denominator) || 1n;
+    this.numerator = numerator / g;
+    this.denominator = denominator / g;
+    Object.freeze(this);
+  }
+
+  // Accepts Rational, BigInt, finite numbers and decimal strings ("19.99", "1e-3").
+  static from(value) {
+    if (value instanceof Rational) return value;
+    if (typeof value === "bigint") return new Rational(value);
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) throw new RangeError(`Cannot represent ${value} exactly`);
+      // String(0.1) is "0.1" → the shortest decimal that round-trips, which is what the user typed.
+      return Rational.parse(String(value));
+    }
+    if (typeof value === "string") return Rational.parse(value);
+    throw new TypeError(`Cannot convert ${typeof value} to a Rational`);
+  }
+
+  static parse(text) {
+    const match = DECIMAL.exec(String(text).trim());
+    if (!match || (match[2] === "" && !match[3])) {
+      throw new SyntaxError(`"${text}" is not a decimal number`);
+    }
+    const [, sign, whole, fraction = "", exponent = "0"] = match;
+    let numerator = BigInt(`${whole || "0"}${fraction}`);
+    let denominator = 10n ** BigInt(fraction.length);
+    const exp = Number(exponent);
+    // 10n ** 999999999n would take forever; doubles stop at 1e308 anyway.
+    if (Math.abs(exp) > MAX_EXPONENT) {
+      throw new RangeError(`Exponent ${exponent} in "${text}" is too large (limit ±${MAX_EXPONENT})`);
+    }
+    if (exp > 0) numerator *= 10n ** BigInt(exp);
+    if (exp < 0) denominator *= 10n ** BigInt(-exp);
+    return new Rational(sign === "-" ? -numerator : numerator, denominator);
+  }
+
+  add(other) {
+    const o = Rational.from(other);
+    return new Rational(
+      this.numerator * o.denominator + o.numerator * this.denominator,
+      this.denominator * o.denominator
+    );
+  }
+
+  sub(other) {
+    const o = Rational.from(other);
+    return this.add(new Rational(-o.numerator, o.denominator));
+  }
+
+  mul(other) {
+    const o = Rational.from(other);
+    return new Rational(this.numerator * o.numerator, this.denominator * o.denominator);
+  }
+
+  div(other) {
+    const o = Rational.from(other);
+    if (o.numerator === 0n) throw new RangeError("Division by zero");
+    return new Rational(this.numerator * o.denominator, this.denominator * o.numerator);
+  }
+
+  equals(other) {
+    const o = Rational.from(other);
+    return this.numerator === o.numerator && this.denominator === o.denominator;
+  }
+
+  // Decimal places needed to write it exactly, or null if it never terminates.
+  // A terminating decimal exists only if the denominator is 2^a * 5^b → max(a, b) places.
+  decimalPlaces() {
+    let d = this.denominator;
+    let twos = 0;
+    let fives = 0;
+    while (d % 2n === 0n) { d /= 2n; twos++; }
+    while (d % 5n === 0n) { d /= 5n; fives++; }
+    return d === 1n ? Math.max(twos, fives) : null;
+  }
+
+  // Rounded to `digits` places, half away from zero ("2.675" → "2.68").
+  toFixed(digits = 2) {
+    if (!Number.isInteger(digits) || digits < 0) {
+      throw new RangeError(`digits must be a non-negative integer, got ${digits}`);
+    }
+    const scale = 10n ** BigInt(digits);
+    const negative = this.numerator < 0n;
+    const scaled = bigAbs(this.numerator) * scale;
+    let units = scaled / this.denominator;
+    if ((scaled % this.denominator) * 2n >= this.denominator) units += 1n;
+
+    const text = units.toString().padStart(digits + 1, "0");
+    const whole = text.slice(0, text.length - digits);
+    const fraction = digits ? `.${text.slice(-digits)}` : "";
+    return `${negative && units !== 0n ? "-" : ""}${whole}${fraction}`;
+  }
+
+  // Exact text: "0.3" when it terminates, otherwise "1/3".
+  toString() {
+    const places = this.decimalPlaces();
+    return places === null ? `${this.numerator}/${this.denominator}` : this.toFixed(places);
+  }
+
+  toNumber() {
+    return Number(this.numerator) / Number(this.denominator);
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+// --------------------------------------------------------
+// 2. Modes
+// --------------------------------------------------------
+
+function describe(value) {
+  return typeof value === "bigint" ? `${value}n` : typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
+const MODES = {
+  number: {
+    zero: 0,
+    one: 1,
+    coerce(value, index) {
+      if (typeof value === "number" && !Number.isNaN(value)) return value;
+      if (typeof value === "bigint") {
+        throw new TypeError(`Argument ${index} is a BigInt (${describe(value)}), use { mode: "bigint" }`);
+      }
+      throw new TypeError(`Argument ${index} is not a number: ${describe(value)}`);
+    },
+    add: (a, b) => a + b,
+    mul: (a, b) => a * b,
+  },
+
+  bigint: {
+    zero: 0n,
+    one: 1n,
+    coerce(value, index) {
+      if (typeof value === "bigint") return value;
+      if (typeof value === "number") {
+        if (!Number.isInteger(value)) {
+          throw new RangeError(`Argument ${index} (${value}) is not an integer, use { mode: "decimal" }`);
+        }
+        if (!Number.isSafeInteger(value)) {
+          throw new RangeError(`Argument ${index} (${value}) is outside the safe integer range (±2^53), pass it as a BigInt`);
+        }
+        return BigInt(value);
+      }
+      if (typeof value === "string" && /^[-+]?\d+$/.test(value.trim())) return BigInt(value.trim());
+      throw new TypeError(`Argument ${index} is not an integer: ${describe(value)}`);
+    },
+    add: (a, b) => a + b,
+    mul: (a, b) => a * b,
+  },
+
+  decimal: {
+    zero: new Rational(0n),
+    one: new Rational(1n),
+    coerce(value, index) {
+      try {
+        return Rational.from(value);
+      } catch (err) {
+        throw new TypeError(`Argument ${index} cannot be used as a decimal: ${err.message}`);
+      }
+    },
+    add: (a, b) => a.add(b),
+    mul: (a, b) => a.mul(b),
+  },
+};
+
+function getMode(name = "number") {
+  if (!Object.prototype.hasOwnProperty.call(MODES, name)) {
+    throw new RangeError(`Unknown mode "${name}", expected one of ${Object.keys(MODES).join(", ")}`);
+  }
+  return MODES[name];
+}
+
+function fold(values, { mode } = {}, operation) {
+  const m = getMode(mode);
+  return values.reduce(
+    (acc, value, i) => m[operation](acc, m.coerce(value, i)),
+    operation === "add" ? m.zero : m.one
+  );
+}
+
+function sum(values, options) {
+  return fold(values, options, "add");
+}
+
+function product(values, options) {
+  return fold(values, options, "mul");
+}
+
+// Variadic helpers take an optional trailing options object:
+//   sumAll(0.1, 0.2, { mode: "decimal" })
+// Only a plain { } counts as options: sumAll(1, [2]) keeps [2] as a value
+// (and gets a clear error) instead of silently dropping it, and an unknown
+// key throws, so sumAll(1, { value: 2 }) is not silently read as options.
+const OPTION_KEYS = ["mode"];
+
+function splitOptions(args) {
+  const last = args[args.length - 1];
+  const proto = last !== null && typeof last === "object" ? Object.getPrototypeOf(last) : undefined;
+  if (proto !== Object.prototype && proto !== null) return [args, {}];
+  const unknown = Object.keys(last).filter(key => !OPTION_KEYS.includes(key));
+  if (unknown.length) {
+    throw new TypeError(`Unknown option "${unknown[0]}" in the last argument, expected only: ${OPTION_KEYS.join(", ")}`);
+  }
+  return [args.slice(0, -1), last];
+}
+
+module.exports = {
+  Rational,
+  MODES,
+  sum,
+  product,
+  splitOptions,
+};
@@ -0,0 +1,371 @@
+// ========================================================
+// Shared: Arithmetic Expression Parser & Evaluator
+// ========================================================
+// - Turns text like "2 * (x + 3) ** 2 - sqrt(16)" into a number.
+// - Three stages:
+//     1. tokenize → numbers, names, operators with their column
+//     2. parse    → tree (AST) using precedence climbing
+//     3. evaluate → walk the tree with variables and functions
+// - Precedence (low → high):
+//     + -        left-assoc
+//     * / %      left-assoc
+//     unary - +  (-2 ** 2 is -(2 ** 2) = -4, like math)
+//     **         right-assoc (2 ** 3 ** 2 = 2 ** 9)
+// - Statements:
+//     x = 5             → assign a variable
+//     f(a, b) = a * b   → define a function
+// - Errors carry the column: "Unexpected token ')' at column 7".
+
+// --------------------------------------------------------
+// 1. Errors
+// --------------------------------------------------------
+
+class ExpressionError extends Error {
+  constructor(message, column) {
+    super(column ? `${message} at column ${column}` : message);
+    this.name = "ExpressionError";
+    this.column = column;
+  }
+}
+
+// --------------------------------------------------------
+// 2. Tokenizer
+// --------------------------------------------------------
+
+const OPERATOR_TOKENS = ["**", "+", "-", "*", "/", "%", "(", ")", ",", "="];
+
+function tokenize(input) {
+  if (typeof input !== "string") {
+    throw new TypeError(`Expected an expression string, got ${typeof input}`);
+  }
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+    const column = i + 1;
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(input.slice(i));
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]), text: number[0], column });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(input.slice(i));
+    if (name) {
+      tokens.push({ type: "name", value: name[0], text: name[0], column });
+      i += name[0].length;
+      continue;
+    }
+
+    const op = OPERATOR_TOKENS.find(o => input.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: "op", value: op, text: op, column });
+      i += op.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character '${ch}'`, column);
+  }
+
+  tokens.push({ type: "end", value: null, text: "end of input", column: input.length + 1 });
+  return tokens;
+}
+
+// --------------------------------------------------------
+// 3. Parser (precedence climbing)
+// --------------------------------------------------------
+
+const BINARY = {
+  "+": { prec: 1, assoc: "left" },
+  "-": { prec: 1, assoc: "left" },
+  "*": { prec: 2, assoc: "left" },
+  "/": { prec: 2, assoc: "left" },
+  "%": { prec: 2, assoc: "left" },
+  "**": { prec: 4, assoc: "right" },
+};
+const UNARY_PREC = 3;
+
+function parse(input) {
+  const tokens = tokenize(input);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const next = () => tokens[pos++];
+  const isOp = (token, value) => token.type === "op" && token.value === value;
+
+  function unexpected(token) {
+    const what = token.type === "end" ? "end of input" : `token '${token.text}'`;
+    return new ExpressionError(`Unexpected ${what}`, token.column);
+  }
+
+  function expect(value) {
+    const token = next();
+    if (!isOp(token, value)) throw unexpected(token);
+    return token;
+  }
+
+  function parseExpression(minPrec) {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      const info = token.type === "op" && BINARY[token.value];
+      if (!info || info.prec < minPrec) return left;
+      next();
+      const right = parseExpression(info.assoc === "right" ? info.prec : info.prec + 1);
+      left = { type: "binary", op: token.value, left, right, column: token.column };
+    }
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (isOp(token, "-") || isOp(token, "+")) {
+      next();
+      return { type: "unary", op: token.value, argument: parseExpression(UNARY_PREC), column: token.column };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === "number") {
+      return { type: "number", value: token.value, column: token.column };
+    }
+
+    if (token.type === "name") {
+      if (!isOp(peek(), "(")) return { type: "variable", name: token.value, column: token.column };
+      next(); // (
+      const args = [];
+      if (!isOp(peek(), ")")) {
+        do {
+          args.push(parseExpression(1));
+        } while (isOp(peek(), ",") && next());
+      }
+      expect(")");
+      return { type: "call", name: token.value, args, column: token.column };
+    }
+
+    if (isOp(token, "(")) {
+      const inner = parseExpression(1);
+      expect(")");
+      return inner;
+    }
+
+    throw unexpected(token);
+  }
+
+  // f(a, b) = ... → function definition; parameters must be plain names.
+  function parseDefinition() {
+    const name = next();
+    next(); // (
+    const params = [];
+    if (!isOp(peek(), ")")) {
+      do {
+        const param = next();
+        if (param.type !== "name") throw unexpected(param);
+        if (params.includes(param.value)) {
+          throw new ExpressionError(`Duplicate parameter '${param.value}'`, param.column);
+        }
+        params.push(param.value);
+      } while (isOp(peek(), ",") && next());
+    }
+    expect(")");
+    expect("=");
+    return { type: "define", name: name.value, params, body: parseExpression(1), column: name.column };
+  }
+
+  // Looks ahead for "name(...) =" without consuming anything.
+  function isDefinition() {
+    if (peek().type !== "name" || !isOp(peek(1), "(")) return false;
+    let depth = 0;
+    for (let i = pos + 1; i < tokens.length; i++) {
+      if (isOp(tokens[i], "(")) depth++;
+      if (isOp(tokens[i], ")") && --depth === 0) return isOp(tokens[i + 1], "=");
+    }
+    return false;
+  }
+
+  let tree;
+  if (peek().type === "name" && isOp(peek(1), "=")) {
+    const name = next();
+    next(); // =
+    tree = { type: "assign", name: name.value, value: parseExpression(1), column: name.column };
+  } else if (isDefinition()) {
+    tree = parseDefinition();
+  } else {
+    tree = parseExpression(1);
+  }
+
+  if (peek().type !== "end") throw unexpected(peek());
+  return tree;
+}
+
+// --------------------------------------------------------
+// 4. Evaluator
+// --------------------------------------------------------
+
+const gcd2 = (a, b) => (b === 0 ? Math.abs(a) : gcd2(b, a % b));
+
+// name → { fn, arity } (arity null = variadic, at least one argument)
+const BUILTINS = {
+  sqrt: { fn: Math.sqrt, arity: 1 },
+  abs: { fn: Math.abs, arity: 1 },
+  floor: { fn: Math.floor, arity: 1 },
+  ceil: { fn: Math.ceil, arity: 1 },
+  round: { fn: Math.round, arity: 1 },
+  sin: { fn: Math.sin, arity: 1 },
+  cos: { fn: Math.cos, arity: 1 },
+  tan: { fn: Math.tan, arity: 1 },
+  ln: { fn: Math.log, arity: 1 },
+  log: { fn: Math.log10, arity: 1 },
+  exp: { fn: Math.exp, arity: 1 },
+  max: { fn: Math.max, arity: null },
+  min: { fn: Math.min, arity: null },
+  gcd: {
+    fn: (...nums) => {
+      if (!nums.every(Number.isInteger)) throw new RangeError("gcd needs integers");
+      return nums.reduce(gcd2);
+    },
+    arity: null,
+  },
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const MAX_CALL_DEPTH = 500;
+
+function applyBinary(op, a, b) {
+  switch (op) {
+    case "+": return a + b;
+    case "-": return a - b;
+    case "*": return a * b;
+    case "/": return a / b;
+    case "%": return a % b;
+    case "**": return a ** b;
+  }
+}
+
+function createCalculator({ variables = {}, functions = {} } = {}) {
+  const vars = new Map(Object.entries({ ...CONSTANTS, ...variables }));
+  const userFns = new Map(); // name → { params, body }
+  const nativeFns = new Map(Object.entries(BUILTINS));
+
+  // Plain JS functions can be registered too: define("double", x => x * 2)
+  function define(name, fn, arity = fn.length) {
+    if (typeof fn !== "function") throw new TypeError(`define(${name}) expects a function`);
+    nativeFns.set(name, { fn, arity });
+    userFns.delete(name);
+    return calculator;
+  }
+  Object.entries(functions).forEach(([name, fn]) => define(name, fn));
+
+  function checkArity(name, expected, got, column) {
+    if (expected === null ? got === 0 : got !== expected) {
+      const want = expected === null ? "at least 1 argument" : `${expected} argument${expected === 1 ? "" : "s"}`;
+      throw new ExpressionError(`${name}() expects ${want}, got ${got}`, column);
+    }
+  }
+
+  function evalNode(node, scope, depth) {
+    switch (node.type) {
+      case "number":
+        return node.value;
+
+      case "variable":
+        if (scope && scope.has(node.name)) return scope.get(node.name);
+        if (vars.has(node.name)) return vars.get(node.name);
+        throw new ExpressionError(`Unknown variable '${node.name}'`, node.column);
+
+      case "unary": {
+        const value = evalNode(node.argument, scope, depth);
+        return node.op === "-" ? -value : value;
+      }
+
+      case "binary":
+        return applyBinary(node.op, evalNode(node.left, scope, depth), evalNode(node.right, scope, depth));
+
+      case "call": {
+        const args = node.args.map(arg => evalNode(arg, scope, depth));
+        if (userFns.has(node.name)) {
+          const { params, body } = userFns.get(node.name);
+          checkArity(node.name, params.length, args.length, node.column);
+          if (depth >= MAX_CALL_DEPTH) {
+            throw new ExpressionError(`Maximum call depth exceeded in ${node.name}()`, node.column);
+          }
+          const local = new Map(params.map((p, i) => [p, args[i]]));
+          return evalNode(body, local, depth + 1);
+        }
+        if (nativeFns.has(node.name)) {
+          const { fn, arity } = nativeFns.get(node.name);
+          checkArity(node.name, arity, args.length, node.column);
+          try {
+            return fn(...args);
+          } catch (err) {
+            throw new ExpressionError(`${node.name}(): ${err.message}`, node.column);
+          }
+        }
+        throw new ExpressionError(`Unknown function '${node.name}'`, node.column);
+      }
+
+      default:
+        throw new ExpressionError(`Cannot evaluate node type '${node.type}'`);
+    }
+  }
+
+  // Returns the number for expressions/assignments, and the function name
+  // for definitions ("f(x) = x * 2" → "f").
+  function evaluate(input) {
+    const tree = typeof input === "string" ? parse(input) : input;
+    if (tree.type === "assign") {
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, tree.name)) {
+        throw new ExpressionError(`Cannot reassign constant '${tree.name}'`, tree.column);
+      }
+      const value = evalNode(tree.value, null, 0);
+      vars.set(tree.name, value);
+      return value;
+    }
+    if (tree.type === "define") {
+      if (Object.prototype.hasOwnProperty.call(BUILTINS, tree.name)) {
+        throw new ExpressionError(`Cannot redefine built-in function '${tree.name}'`, tree.column);
+      }
+      userFns.set(tree.name, { params: tree.params, body: tree.body });
+      nativeFns.delete(tree.name);
+      return tree.name;
+    }
+    return evalNode(tree, null, 0);
+  }
+
+  const calculator = {
+    evaluate,
+    define,
+    set(name, value) {
+      vars.set(name, value);
+      return calculator;
+    },
+    get: name => vars.get(name),
+    variables: () => Object.fromEntries(vars),
+    functions: () => [...nativeFns.keys(), ...userFns.keys()],
+  };
+  return calculator;
+}
+
+// One-off evaluation: evaluate("a * b", { a: 2, b: 3 }) → 6
+function evaluate(input, variables) {
+  return createCalculator({ variables }).evaluate(input);
+}
+
+module.exports = {
+  ExpressionError,
+  BINARY_OPERATORS: Object.keys(BINARY),
+  tokenize,
+  parse,
+  evaluate,
+  createCalculator,
+};
@@ -0,0 +1,235 @@
+// ========================================================
+// Shared: Fibonacci, Lucas & Linear Recurrences
+// ========================================================
+// - F(0) = 0, F(1) = 1, F(n) = F(n-1) + F(n-2)
+// - L(0) = 2, L(1) = 1, same rule → Lucas numbers
+// - Both are "linear recurrences": a(n) = c1*a(n-1) + c2*a(n-2) + ...
+// - Ways to compute the nth term (compare them with benchmark()):
+//     • naive recursion    → O(φ^n) calls, unusable past n ≈ 40
+//     • memoized recursion → O(n), cache warmed in steps so the
+//                            recursion never gets deeper than MEMO_STEP
+//     • iteration          → O(n), constant memory
+//     • fast doubling      → O(log n) BigInt steps, F(1_000_000) in ms
+//         F(2k)   = F(k) * (2*F(k+1) - F(k))
+//         F(2k+1) = F(k)^2 + F(k+1)^2
+// - Numbers lose precision after F(78) → BigInt versions stay exact.
+//
+// CLI: node lib/fibonacci.js bench 30
+//      node lib/fibonacci.js bench 5000   (naive skipped, memoized still runs)
+
+const { memoize } = require("./functional");
+
+// --------------------------------------------------------
+// 1. Sequences (generators)
+// --------------------------------------------------------
+
+function checkIndex(n) {
+  if (!Number.isSafeInteger(n) || n < 0) {
+    throw new RangeError(`Index must be a non-negative integer, got ${n}`);
+  }
+}
+
+// Infinite generator for a(n) = c[0]*a(n-1) + c[1]*a(n-2) + ...
+// linearRecurrence([1, 1], [0, 1]) → 0, 1, 1, 2, 3, 5, ...
+function* linearRecurrence(coefficients, initial, { bigint = false } = {}) {
+  if (!Array.isArray(coefficients) || coefficients.length === 0) {
+    throw new TypeError("coefficients must be a non-empty array");
+  }
+  if (!Array.isArray(initial) || initial.length !== coefficients.length) {
+    throw new RangeError(`Need ${coefficients.length} initial terms, got ${initial && initial.length}`);
+  }
+  const cast = bigint ? BigInt : Number;
+  const coeffs = coefficients.map(cast);
+  let window = initial.map(cast); // oldest → newest
+
+  yield* window;
+  for (;;) {
+    let next = cast(0);
+    for (let i = 0; i < coeffs.length; i++) next += coeffs[i] * window[window.length - 1 - i];
+    window = [...window.slice(1), next];
+    yield next;
+  }
+}
+
+function fibonacci(options) {
+  return linearRecurrence([1, 1], [0, 1], options);
+}
+
+function lucas(options) {
+  return linearRecurrence([1, 1], [2, 1], options);
+}
+
+// First `count` values of any (possibly infinite) iterable.
+function take(iterable, count) {
+  const out = [];
+  if (count <= 0) return out;
+  for (const value of iterable) {
+    out.push(value);
+    if (out.length >= count) break;
+  }
+  return out;
+}
+
+// --------------------------------------------------------
+// 2. nth Term
+// --------------------------------------------------------
+
+// Returns [F(n), F(n+1)] as BigInts.
+function fastDoubling(n) {
+  if (n === 0) return [0n, 1n];
+  const [a, b] = fastDoubling(Math.floor(n / 2)); // F(k), F(k+1)
+  const c = a * (2n * b - a);                      // F(2k)
+  const d = a * a + b * b;                         // F(2k+1)
+  return n % 2 === 0 ? [c, d] : [d, c + d];
+}
+
+function fibonacciAt(n) {
+  checkIndex(n);
+  return fastDoubling(n)[0];
+}
+
+// L(n) = 2*F(n+1) - F(n)
+function lucasAt(n) {
+  checkIndex(n);
+  const [f, next] = fastDoubling(n);
+  return 2n * next - f;
+}
+
+// Square matrix product with BigInt entries.
+function multiply(a, b) {
+  return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0n)));
+}
+
+// nth term of any linear recurrence in O(k^3 log n) via matrix powers.
+function recurrenceAt(coefficients, initial, n) {
+  checkIndex(n);
+  const k = coefficients.length;
+  if (!Array.isArray(initial) || initial.length !== k) {
+    throw new RangeError(`Need ${k} initial terms, got ${initial && initial.length}`);
+  }
+  if (n < k) return BigInt(initial[n]);
+
+  // Companion matrix: first row holds the coefficients, the rest shifts.
+  let step = Array.from({ length: k }, (_, i) =>
+    Array.from({ length: k }, (_, j) => (i === 0 ? BigInt(coefficients[j]) : BigInt(i - 1 === j)))
+  );
+  let power = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) => BigInt(i === j)));
+  for (let e = n - (k - 1); e > 0; e = Math.floor(e / 2)) {
+    if (e % 2 === 1) power = multiply(power, step);
+    step = multiply(step, step);
+  }
+
+  // state = [a(k-1), a(k-2), ..., a(0)]
+  const state = initial.slice().reverse().map(BigInt);
+  return power[0].reduce((sum, value, j) => sum + value * state[j], 0n);
+}
+
+// --------------------------------------------------------
+// 3. Teaching Versions (for comparison)
+// --------------------------------------------------------
+
+function naiveFibonacci(n) {
+  return n < 2 ? n : naiveFibonacci(n - 1) + naiveFibonacci(n - 2);
+}
+
+// Each F(k) is computed once and cached → O(n) instead of O(φ^n).
+// The recursive calls go through the memoized wrapper, not this function.
+function fibonacciStep(n) {
+  return n < 2 ? BigInt(n) : memoFibonacci(n - 1) + memoFibonacci(n - 2);
+}
+const memoFibonacci = memoize(fibonacciStep);
+
+// memoFibonacci(5000) on a cold cache recurses 5000 calls deep and overflows
+// the stack. Filling the cache every MEMO_STEP terms first means each call
+// only recurses down to the last cached term.
+const MEMO_STEP = 1000;
+
+function memoizedFibonacci(n) {
+  checkIndex(n);
+  for (let k = MEMO_STEP; k < n; k += MEMO_STEP) memoFibonacci(k);
+  return memoFibonacci(n);
+}
+
+function iterativeFibonacci(n) {
+  checkIndex(n);
+  let a = 0n;
+  let b = 1n;
+  for (let i = 0; i < n; i++) [a, b] = [b, a + b];
+  return a;
+}
+
+// --------------------------------------------------------
+// 4. Benchmark
+// --------------------------------------------------------
+
+const APPROACHES = {
+  naive: n => BigInt(naiveFibonacci(n)),
+  memoized: n => {
+    memoFibonacci.cache.clear(); // measure a cold cache every run
+    return memoizedFibonacci(n);
+  },
+  iterative: iterativeFibonacci,
+  fastDoubling: fibonacciAt,
+};
+
+// Naive recursion is skipped above this n, it would take minutes.
+const NAIVE_LIMIT = 35;
+
+// benchmark(30) → [{ name, ms, result }], fastest first.
+function benchmark(n, { iterations = 5, approaches = Object.keys(APPROACHES) } = {}) {
+  checkIndex(n);
+  const results = [];
+  for (const name of approaches) {
+    const fn = APPROACHES[name];
+    if (!fn) throw new RangeError(`Unknown approach "${name}"`);
+    if (name === "naive" && n > NAIVE_LIMIT) {
+      results.push({ name, ms: null, result: null, skipped: `n > ${NAIVE_LIMIT}` });
+      continue;
+    }
+
+    let result;
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < iterations; i++) result = fn(n);
+    const ms = Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+    results.push({ name, ms, result });
+  }
+
+  const expected = fibonacciAt(n);
+  for (const r of results) {
+    if (r.result !== null && r.result !== expected) throw new Error(`${r.name} returned a wrong F(${n})`);
+  }
+  return results.sort((a, b) => (a.ms ?? Infinity) - (b.ms ?? Infinity));
+}
+
+function main(argv) {
+  const [command, arg = "30"] = argv;
+  if (command !== "bench" || !/^\d+$/.test(arg)) {
+    console.error("Usage: node lib/fibonacci.js bench <n>");
+    return 1;
+  }
+  const n = Number(arg);
+  console.log(`F(${n}), average of 5 runs:`);
+  for (const { name, ms, skipped } of benchmark(n)) {
+    console.log(`  ${name.padEnd(13)} ${skipped ? `skipped (${skipped})` : `${ms.toFixed(4)} ms`}`);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  linearRecurrence,
+  fibonacci,
+  lucas,
+  take,
+  fibonacciAt,
+  lucasAt,
+  recurrenceAt,
+  naiveFibonacci,
+  memoFibonacci,
+  memoizedFibonacci,
+  iterativeFibonacci,
+  benchmark,
+};
@@ -0,0 +1,152 @@
+// ========================================================
+// Shared: Rule-driven FizzBuzz Engine
+// ========================================================
+// - A rule = label + matcher. Matchers:
+//     { divisor: 3 }     → n % 3 === 0
+//     { contains: 7 }    → the digit 7 appears in n
+//     { test: n => ... } → any custom predicate
+// - Rules are checked IN ORDER. Two modes:
+//     "concat" → join labels of every matching rule (15 → "FizzBuzz")
+//     "first"  → only the first matching rule wins (put 15 before 3 and 5)
+// - No rule matches → the number itself.
+// - fizzBuzz() is a lazy generator: nothing is computed or printed
+//   until you iterate, so open-ended ranges are fine.
+//
+// CLI:
+//   node lib/fizzbuzz.js --to 30
+//   node lib/fizzbuzz.js --from 1 --to 100 --rule Fizz:3 --rule Buzz:5 --rule Bazz:has7
+//   node lib/fizzbuzz.js --to 20 --mode first --rule FizzBuzz:15 --rule Fizz:3 --rule Buzz:5
+
+// --------------------------------------------------------
+// 1. Rules
+// --------------------------------------------------------
+
+const MODES = ["concat", "first"];
+
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule.label !== "string" || rule.label === "") {
+    throw new TypeError(`Rule ${index} needs a non-empty string label`);
+  }
+  const { label, divisor, contains, test } = rule;
+  const kinds = [divisor, contains, test].filter(v => v !== undefined).length;
+  if (kinds !== 1) {
+    throw new TypeError(`Rule "${label}" needs exactly one of divisor, contains or test`);
+  }
+
+  if (divisor !== undefined) {
+    if (!Number.isInteger(divisor) || divisor === 0) {
+      throw new RangeError(`Rule "${label}": divisor must be a non-zero integer, got ${divisor}`);
+    }
+    return { label, matches: n => n % divisor === 0 };
+  }
+  if (contains !== undefined) {
+    const digit = String(contains);
+    if (!/^\d$/.test(digit)) {
+      throw new RangeError(`Rule "${label}": contains must be a single digit, got ${contains}`);
+    }
+    return { label, matches: n => String(Math.abs(n)).includes(digit) };
+  }
+  if (typeof test !== "function") {
+    throw new TypeError(`Rule "${label}": test must be a function`);
+  }
+  return { label, matches: n => Boolean(test(n)) };
+}
+
+const CLASSIC_RULES = [
+  { label: "Fizz", divisor: 3 },
+  { label: "Buzz", divisor: 5 },
+];
+
+// --------------------------------------------------------
+// 2. Engine
+// --------------------------------------------------------
+
+// Build a reusable n → text function.
+function createFizzBuzz(rules = CLASSIC_RULES, { mode = "concat" } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new RangeError(`Unknown mode "${mode}", expected one of ${MODES.join(", ")}`);
+  }
+  if (!Array.isArray(rules)) throw new TypeError("rules must be an array");
+  const compiled = rules.map(normalizeRule);
+
+  return function fizzBuzzAt(n) {
+    if (!Number.isInteger(n)) throw new TypeError(`Expected an integer, got ${n}`);
+    if (mode === "first") {
+      const hit = compiled.find(rule => rule.matches(n));
+      return hit ? hit.label : String(n);
+    }
+    const text = compiled.filter(rule => rule.matches(n)).map(rule => rule.label).join("");
+    return text || String(n);
+  };
+}
+
+// Lazy sequence: for (const line of fizzBuzz({ to: 15 })) ...
+function* fizzBuzz({ from = 1, to = Infinity, step = 1, rules, mode } = {}) {
+  if (!Number.isInteger(from) || !(Number.isInteger(to) || to === Infinity)) {
+    throw new RangeError(`from/to must be integers, got ${from}, ${to}`);
+  }
+  if (!Number.isInteger(step) || step <= 0) {
+    throw new RangeError(`step must be a positive integer, got ${step}`);
+  }
+  const at = createFizzBuzz(rules, { mode });
+  for (let n = from; n <= to; n += step) yield at(n);
+}
+
+// --------------------------------------------------------
+// 3. CLI
+// --------------------------------------------------------
+
+// "Fizz:3" → divisor rule, "Bazz:has7" → contains rule
+function parseRuleSpec(spec) {
+  const match = /^(.+):(has)?(-?\d+)$/.exec(spec);
+  if (!match) throw new SyntaxError(`Bad rule "${spec}", expected Label:<divisor> or Label:has<digit>`);
+  const [, label, has, value] = match;
+  return has ? { label, contains: Number(value) } : { label, divisor: Number(value) };
+}
+
+function main(argv) {
+  const { parseArgs } = require("util");
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        from: { type: "string", default: "1" },
+        to: { type: "string", default: "100" },
+        rule: { type: "string", multiple: true },
+        mode: { type: "string", default: "concat" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+
+  if (values.help) {
+    console.log("Usage: node lib/fizzbuzz.js [--from N] [--to N] [--mode concat|first] [--rule Label:3 | Label:has7]...");
+    return 0;
+  }
+
+  try {
+    const rules = values.rule ? values.rule.map(parseRuleSpec) : CLASSIC_RULES;
+    const from = Number(values.from);
+    const to = Number(values.to);
+    for (const line of fizzBuzz({ from, to, rules, mode: values.mode })) console.log(line);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  CLASSIC_RULES,
+  createFizzBuzz,
+  fizzBuzz,
+  parseRuleSpec,
+};
@@ -0,0 +1,178 @@
+// ========================================================
+// Shared: Function Composition Toolkit
+// ========================================================
+// - Day 4 showed higher-order functions: operate(a, b, fn) takes a
+//   function, outer(x) returns one. These helpers are the reusable
+//   versions of those two ideas.
+// - compose / pipe  → glue functions into one
+// - curry           → add(1, 2) becomes add(1)(2), respecting fn.length
+// - partial         → pre-fill arguments, "_" placeholders skip a slot
+// - flip, tap, once, memoize → small wrappers used all the time
+// - Every wrapper keeps a useful .name and a correct .length, so stack
+//   traces and debuggers still tell you which function you are in.
+
+// --------------------------------------------------------
+// 1. Helpers
+// --------------------------------------------------------
+
+// Placeholder for partial(): partial(divide, _, 2) → x => divide(x, 2)
+const _ = Object.freeze({ toString: () => "_" });
+
+function assertFunction(fn, caller) {
+  if (typeof fn !== "function") {
+    throw new TypeError(`${caller} expects a function, got ${typeof fn}`);
+  }
+}
+
+function nameOf(fn) {
+  return fn.name || "anonymous";
+}
+
+// name/length are read-only but configurable → redefine them.
+function describe(fn, name, length) {
+  Object.defineProperty(fn, "name", { value: name, configurable: true });
+  Object.defineProperty(fn, "length", { value: Math.max(0, length), configurable: true });
+  return fn;
+}
+
+// --------------------------------------------------------
+// 2. Composition
+// --------------------------------------------------------
+
+// pipe(f, g, h)(x) === h(g(f(x))) → reads left to right
+function pipe(...fns) {
+  if (fns.length === 0) return describe(x => x, "identity", 1);
+  fns.forEach(fn => assertFunction(fn, "pipe"));
+  const [first, ...rest] = fns;
+  const piped = function (...args) {
+    return rest.reduce((value, fn) => fn.call(this, value), first.apply(this, args));
+  };
+  return describe(piped, `pipe(${fns.map(nameOf).join(", ")})`, first.length);
+}
+
+// compose(f, g, h)(x) === f(g(h(x))) → reads right to left, like math
+function compose(...fns) {
+  fns.forEach(fn => assertFunction(fn, "compose"));
+  const composed = pipe(...[...fns].reverse());
+  return describe(composed, `compose(${fns.map(nameOf).join(", ")})`, composed.length);
+}
+
+// --------------------------------------------------------
+// 3. Argument Helpers
+// --------------------------------------------------------
+
+// curry(add3)(1)(2)(3) === curry(add3)(1, 2)(3) === add3(1, 2, 3)
+function curry(fn, arity = fn.length) {
+  assertFunction(fn, "curry");
+  if (!Number.isInteger(arity) || arity < 0) {
+    throw new RangeError(`curry arity must be a non-negative integer, got ${arity}`);
+  }
+
+  function collect(collected) {
+    const curried = function (...args) {
+      const all = [...collected, ...args];
+      return all.length >= arity ? fn.apply(this, all) : collect(all);
+    };
+    return describe(curried, `curried ${nameOf(fn)}`, arity - collected.length);
+  }
+  return collect([]);
+}
+
+// partial(greet, "Hi") → name => greet("Hi", name)
+// partial(divide, _, 2) → x => divide(x, 2)
+function partial(fn, ...preset) {
+  assertFunction(fn, "partial");
+  const holes = preset.filter(arg => arg === _).length;
+
+  const partiallyApplied = function (...args) {
+    let next = 0;
+    const filled = preset.map(arg => (arg === _ && next < args.length ? args[next++] : arg));
+    if (filled.includes(_)) {
+      throw new TypeError(`partial ${nameOf(fn)}: missing argument for placeholder`);
+    }
+    return fn.apply(this, [...filled, ...args.slice(next)]);
+  };
+  const remaining = holes + Math.max(0, fn.length - preset.length);
+  return describe(partiallyApplied, `partial ${nameOf(fn)}`, remaining);
+}
+
+// flip(subtract)(5, 20) === subtract(20, 5) → swaps the first two arguments
+function flip(fn) {
+  assertFunction(fn, "flip");
+  const flipped = function (a, b, ...rest) {
+    return fn.call(this, b, a, ...rest);
+  };
+  return describe(flipped, `flipped ${nameOf(fn)}`, fn.length);
+}
+
+// --------------------------------------------------------
+// 4. Wrappers
+// --------------------------------------------------------
+
+// Run a side effect (logging) in the middle of a pipe, pass the value on.
+function tap(fn) {
+  assertFunction(fn, "tap");
+  const tapped = function (value) {
+    fn.call(this, value);
+    return value;
+  };
+  return describe(tapped, `tap ${nameOf(fn)}`, 1);
+}
+
+// First call runs fn, later calls return the first result.
+// If fn throws, nothing is remembered and the next call tries again.
+function once(fn) {
+  assertFunction(fn, "once");
+  let called = false;
+  let result;
+  const wrapped = function (...args) {
+    if (!called) {
+      result = fn.apply(this, args);
+      called = true;
+    }
+    return result;
+  };
+  return describe(wrapped, nameOf(fn), fn.length);
+}
+
+const RESULT = Symbol("memoize result");
+
+// Cache results by arguments. Default: one Map level per argument, so each
+// value is its own key (1 vs "1", NaN, undefined, BigInts, objects by
+// identity); f(a) and f(a, b) never share an entry. Pass resolver to
+// compute the key yourself, e.g. to treat equal-looking objects as one.
+function memoize(fn, resolver) {
+  assertFunction(fn, "memoize");
+  if (resolver !== undefined) assertFunction(resolver, "memoize resolver");
+
+  const cache = new Map();
+  const memoized = function (...args) {
+    if (resolver) {
+      const key = resolver.apply(this, args);
+      if (cache.has(key)) return cache.get(key);
+      const result = fn.apply(this, args);
+      cache.set(key, result);
+      return result;
+    }
+    const node = args.reduce((level, arg) => {
+      if (!level.has(arg)) level.set(arg, new Map());
+      return level.get(arg);
+    }, cache);
+    if (!node.has(RESULT)) node.set(RESULT, fn.apply(this, args));
+    return node.get(RESULT);
+  };
+  memoized.cache = cache; // exposed so callers can clear() it
+  return describe(memoized, nameOf(fn), fn.length);
+}
+
+module.exports = {
+  _,
+  pipe,
+  compose,
+  curry,
+  partial,
+  flip,
+  tap,
+  once,
+  memoize,
+};
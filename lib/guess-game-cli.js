@@ -0,0 +1,254 @@
+// ========================================================
+// Shared: Number Guessing Game (terminal front-end)
+// ========================================================
+// - All rules live in lib/guess-game.js, this file only does I/O:
+//     readline for input, console output, a JSON file for high scores.
+// - run() takes input/output streams, so it can also be fed a scripted
+//   stream: run({ input: Readable.from(["easy\n", "5\n", ...]) })
+//
+// Usage:
+//   node lib/guess-game-cli.js
+//   node lib/guess-game-cli.js --difficulty hard --name Rohan
+//   node lib/guess-game-cli.js --seed 42 --scores ./scores.json
+//   node lib/guess-game-cli.js --check   (plays scripted, seeded games, exits 1 on a mismatch)
+//
+// High scores go to .guess-game-scores.json in the project folder
+// (git-ignored), not your home directory; --scores picks another file.
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { DIFFICULTIES, createGame, play, addHighScore, formatHighScores } = require("./guess-game");
+const { createRandom } = require("./random");
+
+const DEFAULT_SCORES_FILE = path.join(__dirname, "..", ".guess-game-scores.json");
+
+// --------------------------------------------------------
+// 1. High Score Storage
+// --------------------------------------------------------
+
+// { easy: [{ name, attempts, ms, date }, ...], ... } — anything else would
+// crash addHighScore() on the next win.
+function isValidTable(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return false;
+  return Object.entries(data).every(
+    ([difficulty, list]) =>
+      Object.prototype.hasOwnProperty.call(DIFFICULTIES, difficulty) &&
+      Array.isArray(list) &&
+      list.every(
+        entry =>
+          entry !== null &&
+          typeof entry === "object" &&
+          typeof entry.name === "string" &&
+          Number.isInteger(entry.attempts) &&
+          Number.isFinite(entry.ms) &&
+          typeof entry.date === "string"
+      )
+  );
+}
+
+async function loadScores(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    if (err instanceof SyntaxError) {
+      console.error(`⚠️ ${file} is not valid JSON, starting a new high score table.`);
+      return {};
+    }
+    throw err;
+  }
+  if (!isValidTable(data)) {
+    console.error(`⚠️ ${file} is not a high score table, starting a new one.`);
+    return {};
+  }
+  return data;
+}
+
+async function saveScores(file, table) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(table, null, 2)}\n`);
+}
+
+// --------------------------------------------------------
+// 2. Game Loop
+// --------------------------------------------------------
+
+async function run({
+  input = process.stdin,
+  output = process.stdout,
+  scoresFile = DEFAULT_SCORES_FILE,
+  difficulty,
+  name,
+  seed,
+} = {}) {
+  const rl = readline.createInterface({ input, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+  const say = text => output.write(`${text}\n`);
+
+  // null means the input ended (Ctrl+D or end of a scripted stream).
+  async function ask(prompt) {
+    output.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? null : value.trim();
+  }
+
+  async function askDifficulty() {
+    const names = Object.keys(DIFFICULTIES);
+    for (;;) {
+      const options = names.map(n => `${n} (${DIFFICULTIES[n].min}–${DIFFICULTIES[n].max}, ${DIFFICULTIES[n].attempts} tries)`);
+      const answer = await ask(`Difficulty? ${options.join(" / ")}: `);
+      if (answer === null) return null;
+      const choice = answer.toLowerCase() || "medium";
+      if (names.includes(choice)) return choice;
+      say(`"${answer}" is not a difficulty.`);
+    }
+  }
+
+  let scores = await loadScores(scoresFile);
+  const random = createRandom(seed); // one generator → each new round gets a new secret
+  say("🎯 Number Guessing Game");
+
+  try {
+    for (;;) {
+      const level = difficulty || (await askDifficulty());
+      if (level === null) break;
+
+      const game = createGame({ difficulty: level, random });
+      const { min, max, attempts } = game.settings;
+      say(`I'm thinking of a number between ${min} and ${max}. You have ${attempts} attempts.`);
+
+      let response = null;
+      while (!response || !response.finished) {
+        const guess = await ask("Your guess: ");
+        if (guess === null) return scores;
+        response = game.guess(guess);
+        say(response.message);
+      }
+
+      if (response.status === "won") {
+        const player = name || (await ask("Your name for the high score table: ")) || "anonymous";
+        const added = addHighScore(scores, level, { name: player, attempts: response.attemptsUsed, ms: response.elapsedMs });
+        scores = added.table;
+        if (added.rank) {
+          say(`🏆 New high score, rank #${added.rank}!`);
+          try {
+            await saveScores(scoresFile, scores);
+          } catch (err) {
+            say(`⚠️ Could not save high scores: ${err.message}`);
+          }
+        }
+      }
+      say(formatHighScores(scores, level));
+
+      const again = await ask("Play again? (y/n): ");
+      if (again === null || !/^y(es)?$/i.test(again)) break;
+    }
+  } finally {
+    rl.close();
+  }
+  say("Bye! 👋");
+  return scores;
+}
+
+// --------------------------------------------------------
+// 3. Scripted Check
+// --------------------------------------------------------
+
+// Same seed → same secret, so a whole session can be scripted in advance.
+// Plays through play() (logic) and run() (I/O), with a throwaway scores file.
+async function check() {
+  const assert = require("assert/strict");
+  const { Readable, Writable } = require("stream");
+
+  const secretFor = (seed, difficulty) => createGame({ seed, difficulty }).reveal();
+  assert.equal(secretFor(42, "expert"), secretFor(42, "expert"), "same seed, same secret");
+
+  // Binary search always wins within the attempts of every difficulty.
+  for (const difficulty of Object.keys(DIFFICULTIES)) {
+    const game = createGame({ seed: `check-${difficulty}`, difficulty });
+    let { min, max } = game.settings;
+    let response;
+    do {
+      const guess = Math.floor((min + max) / 2);
+      [response] = play(game, [String(guess)]);
+      if (response.status === "low") min = guess + 1;
+      if (response.status === "high") max = guess - 1;
+    } while (!response.finished);
+    assert.equal(response.status, "won", `binary search on ${difficulty}`);
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "guess-game-"));
+  try {
+    const scoresFile = path.join(dir, "scores.json");
+    const secret = secretFor("check", "easy");
+    const wrong = secret === 1 ? 2 : 1;
+    let transcript = "";
+    const output = new Writable({
+      write(chunk, encoding, done) {
+        transcript += chunk;
+        done();
+      },
+    });
+    const input = Readable.from(["abc\n", "11\n", `${wrong}\n`, `${secret}\n`, "n\n"]);
+    await run({ input, output, scoresFile, seed: "check", difficulty: "easy", name: "Checker" });
+
+    assert.match(transcript, /between 1 and 10/);
+    assert.match(transcript, /\(4 attempts left\)/, "the two invalid guesses cost no attempt");
+    assert.match(transcript, new RegExp(`Correct! ${secret} in 2 attempts`));
+    assert.match(transcript, /New high score, rank #1/);
+    const saved = JSON.parse(await fs.readFile(scoresFile, "utf8"));
+    assert.equal(saved.easy[0].name, "Checker");
+    assert.equal(saved.easy[0].attempts, 2);
+
+    // A damaged table is replaced, not fed to addHighScore().
+    await fs.writeFile(scoresFile, '{"easy": 5}');
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.deepEqual(await loadScores(scoresFile), {});
+    } finally {
+      console.error = originalError;
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// --------------------------------------------------------
+// 4. CLI
+// --------------------------------------------------------
+
+async function main(argv) {
+  const { parseArgs } = require("util");
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      difficulty: { type: "string", short: "d" },
+      name: { type: "string", short: "n" },
+      seed: { type: "string" },
+      scores: { type: "string", default: DEFAULT_SCORES_FILE },
+      check: { type: "boolean" },
+    },
+  });
+  if (values.check) {
+    await check();
+    console.log("✔ guess-game check passed");
+    return;
+  }
+  if (values.difficulty && !DIFFICULTIES[values.difficulty]) {
+    throw new RangeError(`Unknown difficulty "${values.difficulty}", expected one of ${Object.keys(DIFFICULTIES).join(", ")}`);
+  }
+  await run({ difficulty: values.difficulty, name: values.name, seed: values.seed, scoresFile: values.scores });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { run, check, loadScores, saveScores, DEFAULT_SCORES_FILE };
@@ -0,0 +1,172 @@
+// ========================================================
+// Shared: Number Guessing Game (logic only, no I/O)
+// ========================================================
+// - The game is a small state machine:
+//     createGame() → game.guess("42") → { status, message, ... }
+//   status: "invalid" | "low" | "high" | "won" | "lost"
+// - No console, readline or files in here → the whole game can be
+//   driven by an array of scripted inputs in tests (see play()).
+// - Difficulty sets the range and the number of attempts.
+// - Invalid input ("abc", 3.5, out of range) never costs an attempt.
+// - High scores: fewer attempts wins, then faster time.
+//   Storage lives in lib/guess-game-cli.js.
+
+const { createRandom } = require("./random");
+
+// --------------------------------------------------------
+// 1. Settings
+// --------------------------------------------------------
+
+const DIFFICULTIES = {
+  easy: { min: 1, max: 10, attempts: 5 },
+  medium: { min: 1, max: 50, attempts: 7 },
+  hard: { min: 1, max: 100, attempts: 7 },
+  expert: { min: 1, max: 1000, attempts: 10 },
+};
+
+const HIGH_SCORE_LIMIT = 10;
+
+function getDifficulty(name) {
+  if (!Object.prototype.hasOwnProperty.call(DIFFICULTIES, name)) {
+    throw new RangeError(`Unknown difficulty "${name}", expected one of ${Object.keys(DIFFICULTIES).join(", ")}`);
+  }
+  return DIFFICULTIES[name];
+}
+
+// "correct" | "low" | "high" → also used by the Day 5 one-liner.
+function checkGuess(guess, secret) {
+  if (guess === secret) return "correct";
+  return guess < secret ? "low" : "high";
+}
+
+// Only whole numbers written as digits count ("7", " 7 "), not "7.0" or "0x7".
+function parseGuess(input, { min, max }) {
+  const text = String(input).trim();
+  if (!/^[-+]?\d+$/.test(text)) {
+    return { ok: false, message: `"${text}" is not a whole number. Try again.` };
+  }
+  const value = Number(text);
+  if (value < min || value > max) {
+    return { ok: false, message: `${value} is outside ${min}–${max}. Try again.` };
+  }
+  return { ok: true, value };
+}
+
+// --------------------------------------------------------
+// 2. Game
+// --------------------------------------------------------
+
+// options.secret fixes the number (tests), options.random / options.seed pick it.
+function createGame({ difficulty = "medium", secret, random, seed, now = Date.now } = {}) {
+  const settings = getDifficulty(difficulty);
+  const rng = random || createRandom(seed);
+  const answer = secret === undefined ? rng.int(settings.min, settings.max) : secret;
+  if (!Number.isInteger(answer) || answer < settings.min || answer > settings.max) {
+    throw new RangeError(`Secret ${answer} is outside ${settings.min}–${settings.max}`);
+  }
+
+  const startedAt = now();
+  const history = [];
+  let status = "playing";
+
+  function result(extra) {
+    const attemptsUsed = history.length;
+    return {
+      attemptsUsed,
+      attemptsLeft: settings.attempts - attemptsUsed,
+      finished: status !== "playing",
+      ...extra,
+    };
+  }
+
+  function guess(input) {
+    if (status !== "playing") {
+      throw new Error(`The game is already over (${status})`);
+    }
+    const parsed = parseGuess(input, settings);
+    if (!parsed.ok) return result({ status: "invalid", message: parsed.message });
+
+    const outcome = checkGuess(parsed.value, answer);
+    history.push(parsed.value);
+
+    if (outcome === "correct") {
+      status = "won";
+      const tries = history.length;
+      return result({
+        status: "won",
+        message: `🎉 Correct! ${answer} in ${tries} attempt${tries === 1 ? "" : "s"}.`,
+        elapsedMs: now() - startedAt,
+      });
+    }
+    if (history.length >= settings.attempts) {
+      status = "lost";
+      return result({ status: "lost", message: `Out of attempts! The number was ${answer}.` });
+    }
+    const hint = outcome === "low" ? "Higher ⬆" : "Lower ⬇";
+    const left = settings.attempts - history.length;
+    return result({ status: outcome, message: `${hint} (${left} attempt${left === 1 ? "" : "s"} left)` });
+  }
+
+  return {
+    difficulty,
+    settings: { ...settings },
+    guess,
+    get status() {
+      return status;
+    },
+    get history() {
+      return [...history];
+    },
+    // Only meant for finished games / debugging.
+    reveal: () => answer,
+  };
+}
+
+// Drive a game with scripted input, returns every response.
+// play(createGame({ secret: 7, difficulty: "easy" }), ["5", "abc", "7"])
+function play(game, inputs) {
+  const transcript = [];
+  for (const input of inputs) {
+    const response = game.guess(input);
+    transcript.push({ input, ...response });
+    if (response.finished) break;
+  }
+  return transcript;
+}
+
+// --------------------------------------------------------
+// 3. High Scores
+// --------------------------------------------------------
+
+function compareScores(a, b) {
+  return a.attempts - b.attempts || a.ms - b.ms || a.date.localeCompare(b.date);
+}
+
+// Returns a NEW table (per difficulty) with the entry inserted, sorted and trimmed,
+// plus the entry's rank (1-based) or null if it did not make the table.
+function addHighScore(table, difficulty, { name, attempts, ms, date = new Date().toISOString() }, limit = HIGH_SCORE_LIMIT) {
+  getDifficulty(difficulty);
+  const entry = { name: String(name || "anonymous").slice(0, 20), attempts, ms, date };
+  const list = [...((table && table[difficulty]) || []), entry].sort(compareScores).slice(0, limit);
+  const rank = list.indexOf(entry);
+  return { table: { ...table, [difficulty]: list }, rank: rank === -1 ? null : rank + 1 };
+}
+
+function formatHighScores(table, difficulty) {
+  const list = (table && table[difficulty]) || [];
+  if (list.length === 0) return `No high scores for ${difficulty} yet.`;
+  const lines = list.map(
+    (s, i) => `${String(i + 1).padStart(2)}. ${s.name.padEnd(20)} ${String(s.attempts).padStart(2)} tries  ${(s.ms / 1000).toFixed(1)}s`
+  );
+  return [`High scores (${difficulty}):`, ...lines].join("\n");
+}
+
+module.exports = {
+  DIFFICULTIES,
+  checkGuess,
+  parseGuess,
+  createGame,
+  play,
+  addHighScore,
+  formatHighScores,
+};
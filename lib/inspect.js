@@ -0,0 +1,212 @@
+// ========================================================
+// Shared: Value Inspector (typeOf + describeValue)
+// ========================================================
+// - typeof has legacy quirks:
+//     typeof null  → "object"   (bug kept for compatibility)
+//     typeof NaN   → "number"
+//     typeof []    → "object"
+//     typeof class {} → "function"
+// - typeOf(value) returns a precise tag instead:
+//     "null", "NaN", "array", "Uint8Array", "Map", "Set", "Date",
+//     "RegExp", "Promise", "Error", "class", "function", "bigint",
+//     "symbol", or the class name for instances ("User").
+// - describeValue(value) pretty-prints any value safely:
+//     • cycles        → [Circular]
+//     • depth limit   → [Object] / [Array(3)]
+//     • long strings  → truncated (grapheme-safe) with "… +N chars"
+//     • long lists    → "… N more items"
+
+const strings = require("./strings");
+
+// --------------------------------------------------------
+// 1. Precise Type Tags
+// --------------------------------------------------------
+
+// "[object Uint8Array]" → "Uint8Array"; works across realms (iframes, vm).
+function builtinTag(value) {
+  return Object.prototype.toString.call(value).slice(8, -1);
+}
+
+const TYPED_ARRAYS = new Set([
+  "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array",
+  "Int32Array", "Uint32Array", "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array",
+]);
+
+const BUILTIN_TAGS = new Set([
+  ...TYPED_ARRAYS, "Map", "Set", "WeakMap", "WeakSet", "Date", "RegExp", "Promise", "Error",
+  "ArrayBuffer", "DataView",
+]);
+
+function isClass(fn) {
+  return /^class[\s{]/.test(Function.prototype.toString.call(fn));
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (typeof value === "number" && Number.isNaN(value)) return "NaN";
+  if (typeof value === "function") return isClass(value) ? "class" : "function";
+  if (typeof value !== "object") return typeof value; // string, number, boolean, bigint, symbol, undefined
+  if (Array.isArray(value)) return "array";
+
+  const tag = builtinTag(value);
+  if (BUILTIN_TAGS.has(tag)) return tag;
+
+  const proto = Object.getPrototypeOf(value);
+  if (proto === null || proto === Object.prototype) return "object";
+  const name = proto.constructor && proto.constructor.name;
+  return name && name !== "Object" ? name : "object";
+}
+
+// --------------------------------------------------------
+// 2. Pretty Printer
+// --------------------------------------------------------
+
+const DEFAULTS = {
+  depth: 3,              // nesting levels to expand
+  maxStringLength: 80,   // graphemes before truncating
+  maxItems: 20,          // array/map/set/object entries before "… N more"
+  breakLength: 72,       // longer single-line output is split over lines
+  indent: 2,
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function formatString(str, opts) {
+  const size = strings.length(str);
+  if (size <= opts.maxStringLength) return JSON.stringify(str);
+  const kept = strings.slice(str, 0, opts.maxStringLength);
+  return `${JSON.stringify(kept)}… +${size - opts.maxStringLength} chars`;
+}
+
+function formatKey(key) {
+  if (typeof key === "symbol") return `[${key.toString()}]`;
+  return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+// Join entries on one line if short enough, otherwise one per line.
+function wrap(open, entries, close, level, opts) {
+  if (entries.length === 0) return `${open}${close}`;
+  const line = `${open} ${entries.join(", ")} ${close}`;
+  if (line.length <= opts.breakLength && !line.includes("\n")) return line;
+  const pad = " ".repeat(opts.indent * (level + 1));
+  const end = " ".repeat(opts.indent * level);
+  return `${open}\n${entries.map(e => pad + e).join(",\n")}\n${end}${close}`;
+}
+
+// Format at most maxItems entries, then a "… N more items" marker.
+function limited(items, total, opts, formatItem) {
+  const shown = items.slice(0, opts.maxItems).map(formatItem);
+  if (total > opts.maxItems) shown.push(`… ${total - opts.maxItems} more items`);
+  return shown;
+}
+
+// Real Map/Set check: the built-in size getter throws for anything else.
+// Works across realms and is not fooled by a fake Symbol.toStringTag.
+const MAP_SIZE = Object.getOwnPropertyDescriptor(Map.prototype, "size").get;
+const SET_SIZE = Object.getOwnPropertyDescriptor(Set.prototype, "size").get;
+function isBranded(sizeGetter, value) {
+  try {
+    sizeGetter.call(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function sizeOf(value, type) {
+  if (type === "Map" || type === "Set") return value.size;
+  if (type === "array" || TYPED_ARRAYS.has(type)) return value.length;
+  return null;
+}
+
+// "Array(3)", "Map(2)", "Object", "User"
+function labelOf(type, size) {
+  if (type === "array") return `Array(${size})`;
+  if (size !== null) return `${type}(${size})`;
+  return type === "object" ? "Object" : type;
+}
+
+function format(value, level, seen, opts) {
+  let type = typeOf(value);
+  // { [Symbol.toStringTag]: "Map" } is a plain object wearing a label.
+  if ((type === "Map" && !isBranded(MAP_SIZE, value)) || (type === "Set" && !isBranded(SET_SIZE, value))) type = "object";
+
+  switch (type) {
+    case "string": return formatString(value, opts);
+    case "number": return Object.is(value, -0) ? "-0" : String(value);
+    case "NaN": return "NaN";
+    case "bigint": return `${value}n`;
+    case "symbol": return value.toString();
+    case "undefined":
+    case "null":
+    case "boolean": return String(value);
+    case "function": return `[Function: ${value.name || "(anonymous)"}]`;
+    case "class": return `[class ${value.name || "(anonymous)"}]`;
+    case "Date": return Number.isNaN(value.getTime()) ? "Date(Invalid)" : `Date(${value.toISOString()})`;
+    case "RegExp": return String(value);
+    case "Promise": return "Promise {…}";
+    case "WeakMap":
+    case "WeakSet": return `${type} {…}`;
+    case "Error": return `${value.name}: ${value.message}`;
+  }
+
+  if (seen.includes(value)) return "[Circular]";
+
+  const size = sizeOf(value, type);
+  const label = labelOf(type, size);
+  if (level >= opts.depth) return `[${label}]`;
+
+  const next = v => format(v, level + 1, seen, opts);
+  seen.push(value);
+  try {
+    if (type === "array") {
+      return wrap("[", limited(value, size, opts, next), "]", level, opts);
+    }
+    if (TYPED_ARRAYS.has(type)) {
+      return wrap(`${label} [`, limited(Array.from(value), size, opts, next), "]", level, opts);
+    }
+    if (type === "Map") {
+      const entries = limited([...value], size, opts, ([k, v]) => `${next(k)} => ${next(v)}`);
+      return wrap(`${label} {`, entries, "}", level, opts);
+    }
+    if (type === "Set") {
+      return wrap(`${label} {`, limited([...value], size, opts, next), "}", level, opts);
+    }
+
+    // Plain objects and class instances: own enumerable string + symbol keys.
+    const keys = [
+      ...Object.keys(value),
+      ...Object.getOwnPropertySymbols(value).filter(s => Object.prototype.propertyIsEnumerable.call(value, s)),
+    ];
+    const entries = limited(keys, keys.length, opts, key => {
+      let item;
+      try {
+        item = value[key];
+      } catch {
+        return `${formatKey(key)}: [Getter threw]`;
+      }
+      return `${formatKey(key)}: ${next(item)}`;
+    });
+    const prefix = type === "object" ? "{" : `${type} {`;
+    return wrap(prefix, entries, "}", level, opts);
+  } finally {
+    seen.pop();
+  }
+}
+
+function describeValue(value, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  return format(value, 0, [], opts);
+}
+
+// console.log replacement: log("Adults:", adults)
+function log(...values) {
+  console.log(values.map(v => (typeof v === "string" ? v : describeValue(v))).join(" "));
+}
+
+module.exports = {
+  typeOf,
+  describeValue,
+  log,
+  DEFAULTS,
+};
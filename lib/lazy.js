@@ -0,0 +1,358 @@
+// ========================================================
+// Shared: Lazy Sequences
+// ========================================================
+// - arr.filter().map().reduce() builds a full new array at EVERY step.
+//   A lazy sequence passes one element at a time through the whole
+//   chain, so nothing in between is stored:
+//     lazy(hugeLog).filter(isError).map(parse).take(10).toArray()
+//   stops reading after the 10th match.
+// - Works on any sync iterable: arrays, Sets, Maps, strings, generators ...
+// - Chaining is free; work happens in the terminal calls:
+//   toArray(), reduce(), forEach(), first(), count(), or for...of.
+// - A sequence over an array can be iterated again, a sequence over a
+//   generator is used up after one pass (the generator is).
+//
+// CLI: node lib/lazy.js bench 1000000
+
+// --------------------------------------------------------
+// 1. Seq
+// --------------------------------------------------------
+
+function checkCount(n, name) {
+  if (!(Number.isInteger(n) || n === Infinity) || n < 0) {
+    throw new RangeError(`${name} must be a non-negative integer, got ${n}`);
+  }
+}
+
+function checkFunction(fn, name) {
+  if (typeof fn !== "function") throw new TypeError(`${name}() expects a function, got ${typeof fn}`);
+}
+
+function iterableOf(value, name = "source") {
+  if (value === null || value === undefined || typeof value[Symbol.iterator] !== "function") {
+    throw new TypeError(`${name} must be iterable`);
+  }
+  return value;
+}
+
+class Seq {
+  // produce: () => iterator, called once per pass.
+  constructor(produce) {
+    this.produce = produce;
+  }
+
+  static from(iterable) {
+    if (iterable instanceof Seq) return iterable;
+    iterableOf(iterable);
+    return new Seq(() => iterable[Symbol.iterator]());
+  }
+
+  [Symbol.iterator]() {
+    return this.produce();
+  }
+
+  // New Seq whose iterator is the generator `step(sourceIterable)`.
+  chain(step) {
+    return new Seq(() => step(this)[Symbol.iterator]());
+  }
+
+  map(fn) {
+    checkFunction(fn, "map");
+    return this.chain(function* (source) {
+      let i = 0;
+      for (const value of source) yield fn(value, i++);
+    });
+  }
+
+  filter(fn) {
+    checkFunction(fn, "filter");
+    return this.chain(function* (source) {
+      let i = 0;
+      for (const value of source) if (fn(value, i++)) yield value;
+    });
+  }
+
+  // fn may return any iterable (array, Set, generator, Seq); its items are spread.
+  flatMap(fn) {
+    checkFunction(fn, "flatMap");
+    return this.chain(function* (source) {
+      let i = 0;
+      for (const value of source) yield* iterableOf(fn(value, i++), "flatMap() result");
+    });
+  }
+
+  take(n) {
+    checkCount(n, "take");
+    return this.chain(function* (source) {
+      if (n === 0) return;
+      let i = 0;
+      // for...of calls return() on early exit → the source generator is closed too.
+      for (const value of source) {
+        yield value;
+        if (++i >= n) return;
+      }
+    });
+  }
+
+  skip(n) {
+    checkCount(n, "skip");
+    return this.chain(function* (source) {
+      let i = 0;
+      for (const value of source) if (i++ >= n) yield value;
+    });
+  }
+
+  takeWhile(fn) {
+    checkFunction(fn, "takeWhile");
+    return this.chain(function* (source) {
+      let i = 0;
+      for (const value of source) {
+        if (!fn(value, i++)) return;
+        yield value;
+      }
+    });
+  }
+
+  skipWhile(fn) {
+    checkFunction(fn, "skipWhile");
+    return this.chain(function* (source) {
+      let skipping = true;
+      let i = 0;
+      for (const value of source) {
+        if (skipping && fn(value, i++)) continue;
+        skipping = false;
+        yield value;
+      }
+    });
+  }
+
+  // [1..7].chunk(3) → [1,2,3] [4,5,6] [7]
+  chunk(size) {
+    if (!Number.isInteger(size) || size < 1) throw new RangeError(`chunk size must be a positive integer, got ${size}`);
+    return this.chain(function* (source) {
+      let batch = [];
+      for (const value of source) {
+        batch.push(value);
+        if (batch.length === size) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length) yield batch;
+    });
+  }
+
+  // Pairs up with other iterables, stops at the shortest: zip([a, b], [1, 2]) → [a, 1] [b, 2]
+  zip(...others) {
+    others.forEach((o, i) => iterableOf(o, `zip() argument ${i + 1}`));
+    return this.chain(function* (source) {
+      const iterators = [source, ...others].map(s => s[Symbol.iterator]());
+      try {
+        for (;;) {
+          const results = iterators.map(it => it.next());
+          if (results.some(r => r.done)) return;
+          yield results.map(r => r.value);
+        }
+      } finally {
+        for (const it of iterators) if (typeof it.return === "function") it.return();
+      }
+    });
+  }
+
+  // Side effect per element without ending the chain (logging, progress).
+  tap(fn) {
+    checkFunction(fn, "tap");
+    return this.map((value, i) => {
+      fn(value, i);
+      return value;
+    });
+  }
+
+  // --------------------------------------------------------
+  // Terminal operations (these pull the elements)
+  // --------------------------------------------------------
+
+  // Like Array#reduce: no initial value → the first element, and an
+  // empty sequence without an initial value throws.
+  reduce(fn, ...initial) {
+    checkFunction(fn, "reduce");
+    let acc;
+    let started = initial.length > 0;
+    if (started) acc = initial[0];
+    let i = 0;
+    for (const value of this) {
+      if (started) acc = fn(acc, value, i);
+      else {
+        acc = value;
+        started = true;
+      }
+      i++;
+    }
+    if (!started) throw new TypeError("reduce() of an empty sequence with no initial value");
+    return acc;
+  }
+
+  forEach(fn) {
+    checkFunction(fn, "forEach");
+    let i = 0;
+    for (const value of this) fn(value, i++);
+  }
+
+  toArray() {
+    return Array.from(this);
+  }
+
+  first() {
+    for (const value of this) return value;
+    return undefined;
+  }
+
+  count() {
+    let n = 0;
+    for (const _ of this) n++;
+    return n;
+  }
+
+  some(fn) {
+    checkFunction(fn, "some");
+    let i = 0;
+    for (const value of this) if (fn(value, i++)) return true;
+    return false;
+  }
+
+  every(fn) {
+    checkFunction(fn, "every");
+    let i = 0;
+    for (const value of this) if (!fn(value, i++)) return false;
+    return true;
+  }
+}
+
+// --------------------------------------------------------
+// 2. Sources
+// --------------------------------------------------------
+
+function lazy(iterable) {
+  return Seq.from(iterable);
+}
+
+// range(5) → 0..4, range(1, 10, 3) → 1, 4, 7, range(0, Infinity) → endless
+function range(start, end, step = 1) {
+  if (end === undefined) [start, end] = [0, start];
+  if (typeof start !== "number" || typeof end !== "number" || Number.isNaN(start) || Number.isNaN(end)) {
+    throw new TypeError(`range() expects numbers, got ${start}, ${end}`);
+  }
+  if (typeof step !== "number" || !Number.isFinite(step) || step === 0) {
+    throw new RangeError(`step must be a non-zero finite number, got ${step}`);
+  }
+  return new Seq(function* () {
+    for (let i = 0, v = start; step > 0 ? v < end : v > end; v = start + ++i * step) yield v;
+  });
+}
+
+// Calls fn() again and again: repeatedly(Math.random).take(3)
+function repeatedly(fn) {
+  checkFunction(fn, "repeatedly");
+  return new Seq(function* () {
+    for (;;) yield fn();
+  });
+}
+
+// --------------------------------------------------------
+// 3. Benchmark (lazy vs eager)
+// --------------------------------------------------------
+
+// Same pipeline both ways: even numbers → squared → first `take` of them → sum.
+//   eager: build the array, then filter/map/slice each allocate a new one
+//   lazy:  numbers are generated, tested and summed one at a time
+// take = Infinity → process everything (the lazy win is memory, not speed).
+const PIPELINE = {
+  eager(size, take) {
+    const numbers = Array.from({ length: size }, (_, i) => i);
+    return numbers
+      .filter(n => n % 2 === 0)
+      .map(n => n * n)
+      .slice(0, take)
+      .reduce((a, b) => a + b, 0);
+  },
+  lazy(size, take) {
+    return range(size)
+      .filter(n => n % 2 === 0)
+      .map(n => n * n)
+      .take(take)
+      .reduce((a, b) => a + b, 0);
+  },
+};
+
+// Each run happens in a fresh child process and reports its peak memory
+// (maxRSS), so one pipeline's garbage can't be billed to the other.
+// "baseline" is an empty run → what Node itself needs.
+function runChild(name, size, take) {
+  const { execFileSync } = require("child_process");
+  const output = execFileSync(process.execPath, [__filename, "run", name, String(size), String(take)], {
+    encoding: "utf8",
+    timeout: 60_000,
+  });
+  return JSON.parse(output);
+}
+
+function runInProcess(name, size, take) {
+  const fn = name === "baseline" ? () => 0 : PIPELINE[name];
+  const start = process.hrtime.bigint();
+  const result = fn(size, take === "Infinity" ? Infinity : Number(take));
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return { result, ms, maxRSS: process.resourceUsage().maxRSS };
+}
+
+// benchmark(1e6) → [{ name, take, ms, peakMB, result }]
+function benchmark(size = 1_000_000, { takes = [10, Infinity] } = {}) {
+  checkCount(size, "size");
+  const baseline = runChild("baseline", size, 0).maxRSS;
+  const rows = [];
+  for (const take of takes) {
+    const results = {};
+    for (const name of Object.keys(PIPELINE)) {
+      const { result, ms, maxRSS } = runChild(name, size, take);
+      results[name] = result;
+      rows.push({ name, take, ms, peakMB: Math.max(0, maxRSS - baseline) / 1024, result });
+    }
+    if (results.eager !== results.lazy) {
+      throw new Error(`lazy and eager disagree for take=${take}: ${results.lazy} vs ${results.eager}`);
+    }
+  }
+  return rows;
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  if (command === "run") {
+    // Internal: one measured run, used by benchmark().
+    const [name, size, take] = args;
+    process.stdout.write(JSON.stringify(runInProcess(name, Number(size), take)));
+    return 0;
+  }
+  const [arg = "1000000"] = args;
+  if (command !== "bench" || !/^\d+$/.test(arg)) {
+    console.error("Usage: node lib/lazy.js bench <size>");
+    return 1;
+  }
+  const size = Number(arg);
+  console.log(`even → square → take → sum over ${size.toLocaleString("en")} numbers:`);
+  for (const { name, take, ms, peakMB } of benchmark(size)) {
+    const label = take === Infinity ? "all" : `first ${take}`;
+    console.log(`  ${name.padEnd(6)} ${label.padEnd(9)} ${ms.toFixed(1).padStart(8)} ms  ${peakMB.toFixed(1).padStart(6)} MB peak`);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  Seq,
+  lazy,
+  range,
+  repeatedly,
+  benchmark,
+};
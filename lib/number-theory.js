@@ -0,0 +1,285 @@
+// ========================================================
+// Shared: Number Theory
+// ========================================================
+// - primesUpTo(n)       → segmented Sieve of Eratosthenes
+//                         (primes up to 10^7 in a fraction of a second)
+// - primesBetween(a, b) → only sieve the window [a, b]
+// - isPrime(n)          → trial division for small n, deterministic
+//                         Miller–Rabin for large numbers and BigInt
+// - factorize(n)        → [{ prime, exponent }], Pollard's rho for big factors
+// - gcd, lcm, extendedGcd, modPow, modInverse
+// - Functions accept numbers or BigInts. If any argument is a BigInt
+//   the result is a BigInt, otherwise a number. Large numbers are worked
+//   on internally as BigInt so a * b never overflows 2^53.
+
+// --------------------------------------------------------
+// 1. Helpers
+// --------------------------------------------------------
+
+function toBig(value, name = "argument") {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number") {
+    if (!Number.isSafeInteger(value)) {
+      throw new RangeError(`${name} must be a safe integer or BigInt, got ${value}`);
+    }
+    return BigInt(value);
+  }
+  throw new TypeError(`${name} must be a number or BigInt, got ${typeof value}`);
+}
+
+// Return BigInt if any input was BigInt, otherwise a plain number.
+function output(result, ...inputs) {
+  return inputs.some(v => typeof v === "bigint") ? result : Number(result);
+}
+
+const abs = n => (n < 0n ? -n : n);
+
+// --------------------------------------------------------
+// 2. Sieve
+// --------------------------------------------------------
+
+const SEGMENT_SIZE = 1 << 15; // 32 KB → one segment fits in L1 cache
+
+// Plain sieve for small limits; returns the base primes for segments.
+function simpleSieve(limit) {
+  const composite = new Uint8Array(limit + 1);
+  const primes = [];
+  for (let i = 2; i <= limit; i++) {
+    if (composite[i]) continue;
+    primes.push(i);
+    for (let j = i * i; j <= limit; j += i) composite[j] = 1;
+  }
+  return primes;
+}
+
+// All primes in [low, high], sieving one cache-sized segment at a time.
+function primesBetween(low, high) {
+  if (!Number.isSafeInteger(low) || !Number.isSafeInteger(high)) {
+    throw new RangeError(`primesBetween needs safe integers, got ${low}, ${high}`);
+  }
+  low = Math.max(low, 2);
+  if (high < low) return [];
+
+  const base = simpleSieve(Math.floor(Math.sqrt(high)));
+  const primes = [];
+  const segment = new Uint8Array(SEGMENT_SIZE);
+
+  for (let start = low; start <= high; start += SEGMENT_SIZE) {
+    const end = Math.min(start + SEGMENT_SIZE - 1, high);
+    segment.fill(0);
+
+    for (const p of base) {
+      if (p * p > end) break;
+      // First multiple of p inside the segment, never p itself.
+      const first = Math.max(p * p, Math.ceil(start / p) * p);
+      for (let j = first; j <= end; j += p) segment[j - start] = 1;
+    }
+
+    for (let i = start; i <= end; i++) {
+      if (!segment[i - start]) primes.push(i);
+    }
+  }
+  return primes;
+}
+
+function primesUpTo(limit) {
+  return primesBetween(2, limit);
+}
+
+// --------------------------------------------------------
+// 3. Modular Arithmetic
+// --------------------------------------------------------
+
+// (base ** exp) % mod by square-and-multiply, result in [0, mod).
+function modPowBig(base, exp, mod) {
+  if (mod === 1n) return 0n;
+  let result = 1n;
+  base = ((base % mod) + mod) % mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    base = (base * base) % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+function modPow(base, exp, mod) {
+  const b = toBig(base, "base");
+  const e = toBig(exp, "exponent");
+  const m = toBig(mod, "modulus");
+  if (m <= 0n) throw new RangeError("modulus must be positive");
+  if (e < 0n) {
+    // a^-k mod m = (a^-1)^k mod m
+    return output(modPowBig(toBig(modInverse(b, m)), -e, m), base, exp, mod);
+  }
+  return output(modPowBig(b, e, m), base, exp, mod);
+}
+
+function gcdBig(a, b) {
+  a = abs(a);
+  b = abs(b);
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+function gcd(...values) {
+  if (values.length === 0) throw new RangeError("gcd needs at least one argument");
+  return output(values.map((v, i) => toBig(v, `argument ${i}`)).reduce(gcdBig), ...values);
+}
+
+function lcm(...values) {
+  if (values.length === 0) throw new RangeError("lcm needs at least one argument");
+  const result = values
+    .map((v, i) => toBig(v, `argument ${i}`))
+    .reduce((a, b) => (a === 0n || b === 0n ? 0n : abs(a * b) / gcdBig(a, b)));
+  if (values.every(v => typeof v === "number") && result > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new RangeError("lcm exceeds 2^53, pass BigInts for an exact result");
+  }
+  return output(result, ...values);
+}
+
+// Finds x, y with a*x + b*y = gcd(a, b) (Bézout coefficients).
+function extendedGcd(a, b) {
+  let [oldR, r] = [toBig(a, "a"), toBig(b, "b")];
+  let [oldS, s] = [1n, 0n];
+  let [oldT, t] = [0n, 1n];
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+    [oldT, t] = [t, oldT - q * t];
+  }
+  if (oldR < 0n) [oldR, oldS, oldT] = [-oldR, -oldS, -oldT];
+  return { gcd: output(oldR, a, b), x: output(oldS, a, b), y: output(oldT, a, b) };
+}
+
+// x such that (a * x) % m === 1, only exists when gcd(a, m) === 1.
+function modInverse(a, m) {
+  const big = toBig(m, "modulus");
+  if (big <= 0n) throw new RangeError("modulus must be positive");
+  const { gcd: g, x } = extendedGcd(toBig(a, "a"), big);
+  if (g !== 1n) throw new RangeError(`${a} has no inverse modulo ${m} (gcd is ${g})`);
+  return output(((x % big) + big) % big, a, m);
+}
+
+// --------------------------------------------------------
+// 4. Primality & Factorization
+// --------------------------------------------------------
+
+const SMALL_PRIMES = simpleSieve(1000);
+const SMALL_PRIMES_BIG = SMALL_PRIMES.map(BigInt);
+
+// These bases make Miller–Rabin exact for every n < 3.3 * 10^24.
+const MR_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+const MR_DETERMINISTIC_LIMIT = 3317044064679887385961981n;
+const MR_EXTRA_ROUNDS = 20;
+
+function millerRabin(n, bases) {
+  let d = n - 1n;
+  let s = 0;
+  while ((d & 1n) === 0n) {
+    d >>= 1n;
+    s++;
+  }
+  witness: for (const a of bases) {
+    if (a % n === 0n) continue;
+    let x = modPowBig(a, d, n);
+    if (x === 1n || x === n - 1n) continue;
+    for (let i = 1; i < s; i++) {
+      x = (x * x) % n;
+      if (x === n - 1n) continue witness;
+    }
+    return false;
+  }
+  return true;
+}
+
+function isPrimeBig(n) {
+  if (n < 2n) return false;
+  for (const p of SMALL_PRIMES_BIG) {
+    if (n === p) return true;
+    if (n % p === 0n) return false;
+  }
+  if (n < 1000000n) return true; // no factor ≤ 1000 → prime below 1000^2
+
+  if (n < MR_DETERMINISTIC_LIMIT) return millerRabin(n, MR_BASES);
+  // Beyond the proven range: add scattered extra bases (probabilistic from here on).
+  const bases = [...MR_BASES];
+  for (let i = 0; i < MR_EXTRA_ROUNDS; i++) bases.push(2n + ((n * BigInt(i + 7919)) % (n - 3n)));
+  return millerRabin(n, bases);
+}
+
+function isPrime(n) {
+  if (typeof n === "number") {
+    if (!Number.isInteger(n)) return false;
+    if (n < 2) return false;
+    // Small numbers: trial division by odd numbers is fastest.
+    if (n < 1e9) {
+      if (n % 2 === 0) return n === 2;
+      for (let i = 3; i * i <= n; i += 2) if (n % i === 0) return false;
+      return true;
+    }
+  }
+  return isPrimeBig(toBig(n, "n"));
+}
+
+// Pollard's rho with Floyd cycle detection: finds some factor of composite n.
+function pollardRho(n) {
+  if (n % 2n === 0n) return 2n;
+  for (let c = 1n; ; c++) {
+    const f = x => (x * x + c) % n;
+    let x = 2n;
+    let y = 2n;
+    let d = 1n;
+    while (d === 1n) {
+      x = f(x);
+      y = f(f(y));
+      d = gcdBig(x - y, n);
+    }
+    if (d !== n) return d;
+  }
+}
+
+function collectFactors(n, out) {
+  if (n === 1n) return;
+  if (isPrimeBig(n)) {
+    out.push(n);
+    return;
+  }
+  const d = pollardRho(n);
+  collectFactors(d, out);
+  collectFactors(n / d, out);
+}
+
+// factorize(360) → [{ prime: 2, exponent: 3 }, { prime: 3, exponent: 2 }, { prime: 5, exponent: 1 }]
+function factorize(n) {
+  let rest = toBig(n, "n");
+  if (rest < 1n) throw new RangeError(`factorize needs a positive integer, got ${n}`);
+
+  const found = [];
+  for (const p of SMALL_PRIMES_BIG) {
+    if (p * p > rest) break;
+    while (rest % p === 0n) {
+      found.push(p);
+      rest /= p;
+    }
+  }
+  if (rest > 1n) collectFactors(rest, found);
+
+  const counts = new Map();
+  found.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  for (const p of found) counts.set(p, (counts.get(p) || 0) + 1);
+  return [...counts].map(([prime, exponent]) => ({ prime: output(prime, n), exponent }));
+}
+
+module.exports = {
+  primesUpTo,
+  primesBetween,
+  isPrime,
+  factorize,
+  gcd,
+  lcm,
+  extendedGcd,
+  modPow,
+  modInverse,
+};
@@ -0,0 +1,372 @@
+// ========================================================
+// Shared: Query Builder for Arrays of Objects
+// ========================================================
+// - SQL-ish chains instead of hand-written filter/map/sort callbacks:
+//     from(people)
+//       .where("age", "gte", 18)
+//       .orderBy("-age", "name")
+//       .select("name", "age")
+//       .toArray()
+// - Steps run in the order they are chained (like LINQ, not like SQL):
+//   put where() before select() if it filters on a dropped field.
+// - Every step returns a NEW query, the original one and the source
+//   array are never changed → a base query can be reused.
+// - Fields may be paths into nested objects: "address.city".
+// - Nothing runs until toArray(), first(), count() or iteration.
+
+// --------------------------------------------------------
+// 1. Helpers
+// --------------------------------------------------------
+
+function getField(row, field) {
+  if (typeof field === "function") return field(row);
+  if (row === null || row === undefined) return undefined;
+  if (Object.prototype.hasOwnProperty.call(row, field)) return row[field];
+  return String(field)
+    .split(".")
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), row);
+}
+
+// Sort order: numbers/dates numeric, strings by locale, null & undefined last.
+function compareValues(a, b) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (typeof a === "string" && typeof b === "string") return a.localeCompare(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// SQL LIKE: % = any run of characters, _ = exactly one. Case-insensitive.
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp(`^${source}$`, "isu");
+}
+
+// Two Date objects for the same instant are equal, like in compareValues.
+function isEqual(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return a === b;
+}
+
+const OPERATORS = {
+  eq: isEqual,
+  ne: (a, b) => !isEqual(a, b),
+  gt: (a, b) => a !== null && a !== undefined && compareValues(a, b) > 0,
+  gte: (a, b) => a !== null && a !== undefined && compareValues(a, b) >= 0,
+  lt: (a, b) => a !== null && a !== undefined && compareValues(a, b) < 0,
+  lte: (a, b) => a !== null && a !== undefined && compareValues(a, b) <= 0,
+  in: (a, list) => (a instanceof Date ? list.some(b => isEqual(a, b)) : list.includes(a)),
+  nin: (a, list) => !OPERATORS.in(a, list),
+  between: (a, [low, high]) => OPERATORS.gte(a, low) && OPERATORS.lte(a, high),
+  like: (a, pattern) => typeof a === "string" && likeToRegExp(pattern).test(a),
+  exists: (a, expected = true) => (a !== null && a !== undefined) === expected,
+};
+
+function checkOperator(op, value) {
+  if (!Object.prototype.hasOwnProperty.call(OPERATORS, op)) {
+    throw new RangeError(`Unknown operator "${op}", expected one of ${Object.keys(OPERATORS).join(", ")}`);
+  }
+  if ((op === "in" || op === "nin") && !Array.isArray(value)) {
+    throw new TypeError(`"${op}" needs an array, got ${typeof value}`);
+  }
+  if (op === "between" && !(Array.isArray(value) && value.length === 2)) {
+    throw new TypeError(`"between" needs [low, high]`);
+  }
+}
+
+// where(fn) | where("age", "gt", 18) | where("age", 18) | where({ age: { gte: 18 }, city: "Oslo" })
+function toPredicate(args) {
+  const [first, second, third] = args;
+  if (typeof first === "function") return first;
+  if (args.length === 2) return toPredicate([first, "eq", second]);
+  if (args.length === 3) {
+    checkOperator(second, third);
+    const test = OPERATORS[second];
+    if (second === "like") {
+      const regex = likeToRegExp(third);
+      return row => {
+        const value = getField(row, first);
+        return typeof value === "string" && regex.test(value);
+      };
+    }
+    return row => test(getField(row, first), third);
+  }
+  if (first && typeof first === "object") {
+    const checks = Object.entries(first).flatMap(([field, condition]) => {
+      const isOperatorObject =
+        condition && typeof condition === "object" && !Array.isArray(condition) && !(condition instanceof Date);
+      if (!isOperatorObject) return [toPredicate([field, "eq", condition])];
+      return Object.entries(condition).map(([op, value]) => toPredicate([field, op, value]));
+    });
+    return row => checks.every(check => check(row));
+  }
+  throw new TypeError("where() expects a function, (field, value), (field, op, value) or an object");
+}
+
+// "name" → ascending, "-age" → descending, ["age", "desc"], or a function.
+function toSortKey(spec) {
+  if (typeof spec === "function") return { get: spec, direction: 1 };
+  if (Array.isArray(spec)) {
+    const [field, dir = "asc"] = spec;
+    if (dir !== "asc" && dir !== "desc") throw new RangeError(`Sort direction must be "asc" or "desc", got ${dir}`);
+    return { get: row => getField(row, field), direction: dir === "desc" ? -1 : 1 };
+  }
+  const text = String(spec);
+  const descending = text.startsWith("-");
+  const field = descending ? text.slice(1) : text;
+  return { get: row => getField(row, field), direction: descending ? -1 : 1 };
+}
+
+// --------------------------------------------------------
+// 2. Aggregates
+// --------------------------------------------------------
+// Each one is rows → value, usable in groupBy() or on a whole query.
+
+const numbersOf = (rows, field) =>
+  rows.map(row => getField(row, field)).filter(v => typeof v === "number" && !Number.isNaN(v));
+
+// Smallest (sign -1) or largest (sign 1) set value, null if there is none.
+function extreme(rows, field, sign) {
+  const values = rows.map(row => getField(row, field)).filter(v => v !== null && v !== undefined);
+  return values.length ? values.reduce((best, v) => (compareValues(v, best) * sign > 0 ? v : best)) : null;
+}
+
+const aggregates = {
+  // count() → rows, count("email") → rows where email is set
+  count: field => rows =>
+    field === undefined ? rows.length : rows.filter(r => getField(r, field) !== null && getField(r, field) !== undefined).length,
+  sum: field => rows => numbersOf(rows, field).reduce((a, b) => a + b, 0),
+  // null when there is nothing to average (instead of NaN)
+  avg: field => rows => {
+    const values = numbersOf(rows, field);
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  },
+  min: field => rows => extreme(rows, field, -1),
+  max: field => rows => extreme(rows, field, 1),
+  list: field => rows => rows.map(r => getField(r, field)),
+};
+
+// --------------------------------------------------------
+// 3. Query
+// --------------------------------------------------------
+
+// Symbols and functions have no text form → numbered by identity.
+const identities = new WeakMap(); // functions
+const symbolIds = new Map();
+let lastId = 0;
+function identityOf(value) {
+  const ids = typeof value === "symbol" ? symbolIds : identities;
+  if (!ids.has(value)) ids.set(value, ++lastId);
+  return ids.get(value);
+}
+
+// Text key for Maps/Sets with a type tag per value, so 1 / "1" / 1n, NaN /
+// null and a Date / its ISO string all stay apart. null and undefined share
+// a key on purpose: a missing field groups with an explicit null, like SQL.
+// Arrays and plain objects are keyed by content (distinct() on whole rows);
+// a cyclic one has no finite content and throws a TypeError.
+function encodeKey(value, seen = []) {
+  if (value === null || value === undefined) return "null";
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  switch (typeof value) {
+    case "number": return `number:${Object.is(value, -0) ? 0 : value}`;
+    case "bigint": return `bigint:${value}`;
+    case "string": return `string:${JSON.stringify(value)}`;
+    case "boolean": return `boolean:${value}`;
+    case "object": {
+      if (seen.includes(value)) throw new TypeError("Cannot use a circular structure as a key");
+      seen.push(value);
+      try {
+        if (Array.isArray(value)) return `[${value.map(item => encodeKey(item, seen)).join(",")}]`;
+        return `{${Object.keys(value).map(key => `${JSON.stringify(key)}:${encodeKey(value[key], seen)}`).join(",")}}`;
+      } finally {
+        seen.pop();
+      }
+    }
+    default: return `${typeof value}#${identityOf(value)}`;
+  }
+}
+
+// Map key for one or more values (distinct, groupBy, joins).
+const keyOf = values => encodeKey(values);
+
+// left row → matching right rows, for join().
+function matcher(right, on) {
+  if (typeof on === "function") return l => right.filter(r => on(l, r));
+  const [leftField, rightField] = Array.isArray(on) ? on : [on, on];
+  // Index the right side once → O(n + m) instead of O(n × m).
+  const index = new Map();
+  for (const r of right) {
+    const key = keyOf([getField(r, rightField)]);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(r);
+  }
+  return l => {
+    const value = getField(l, leftField);
+    return value === null || value === undefined ? [] : index.get(keyOf([value])) || [];
+  };
+}
+
+class Query {
+  constructor(source, steps = []) {
+    if (!source || typeof source[Symbol.iterator] !== "function") {
+      throw new TypeError("Query source must be an array or iterable");
+    }
+    this.source = source;
+    this.steps = steps;
+  }
+
+  pipe(step) {
+    return new Query(this.source, [...this.steps, step]);
+  }
+
+  where(...args) {
+    const predicate = toPredicate(args);
+    return this.pipe(rows => rows.filter(row => predicate(row)));
+  }
+
+  // select("name", "age") | select({ name: "name", city: "address.city", adult: p => p.age >= 18 })
+  select(...fields) {
+    const spec =
+      fields.length === 1 && fields[0] && typeof fields[0] === "object" && !Array.isArray(fields[0])
+        ? fields[0]
+        : Object.fromEntries(fields.flat().map(field => [field, field]));
+    const entries = Object.entries(spec);
+    return this.pipe(rows => rows.map(row => Object.fromEntries(entries.map(([alias, field]) => [alias, getField(row, field)]))));
+  }
+
+  orderBy(...specs) {
+    const keys = specs.flat().map(toSortKey);
+    if (keys.length === 0) throw new TypeError("orderBy() needs at least one key");
+    return this.pipe(rows =>
+      [...rows].sort((a, b) => {
+        for (const { get, direction } of keys) {
+          const order = compareValues(get(a), get(b));
+          if (order !== 0) return order * direction;
+        }
+        return 0;
+      })
+    );
+  }
+
+  // groupBy("city", { people: count(), avgAge: avg("age") })
+  // → [{ city: "Oslo", people: 2, avgAge: 30 }, ...] in first-seen order
+  // Computed keys get a name: groupBy({ decade: p => Math.floor(p.age / 10) * 10 }, ...)
+  groupBy(fields, aggregateSpec = {}) {
+    const named =
+      fields && typeof fields === "object" && !Array.isArray(fields)
+        ? Object.entries(fields)
+        : [].concat(fields).map(field => [field, field]);
+    const keys = named.map(([, field]) => field);
+    const entries = Object.entries(aggregateSpec);
+    for (const [name, fn] of entries) {
+      if (typeof fn !== "function") throw new TypeError(`Aggregate "${name}" must be a function like count() or sum("field")`);
+    }
+    return this.pipe(rows => {
+      const groups = new Map();
+      for (const row of rows) {
+        const values = keys.map(field => getField(row, field));
+        const key = keyOf(values);
+        if (!groups.has(key)) groups.set(key, { values, rows: [] });
+        groups.get(key).rows.push(row);
+      }
+      return [...groups.values()].map(group => ({
+        ...Object.fromEntries(named.map(([name], i) => [name, group.values[i]])),
+        ...Object.fromEntries(entries.map(([name, fn]) => [name, fn(group.rows)])),
+      }));
+    });
+  }
+
+  // distinct() compares whole rows, distinct("city") keeps the first row per city.
+  distinct(...fields) {
+    const keys = fields.flat();
+    return this.pipe(rows => {
+      const seen = new Set();
+      return rows.filter(row => {
+        const key = keys.length ? keyOf(keys.map(f => getField(row, f))) : keyOf([row]);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    });
+  }
+
+  limit(count) {
+    if (!Number.isInteger(count) || count < 0) throw new RangeError(`limit must be a non-negative integer, got ${count}`);
+    return this.pipe(rows => rows.slice(0, count));
+  }
+
+  offset(count) {
+    if (!Number.isInteger(count) || count < 0) throw new RangeError(`offset must be a non-negative integer, got ${count}`);
+    return this.pipe(rows => rows.slice(count));
+  }
+
+  // on: "id" (same field both sides), ["userId", "id"] (left, right) or (left, right) => boolean
+  // as: put the right row under this key instead of merging its fields
+  //     (merged rows keep the LEFT value when both sides have a field).
+  join(other, on, { type = "inner", as } = {}) {
+    if (type !== "inner" && type !== "left") throw new RangeError(`Join type must be "inner" or "left", got ${type}`);
+    const combine = (l, r) => (as ? { ...l, [as]: r } : { ...r, ...l });
+    const empty = l => (as ? { ...l, [as]: null } : { ...l });
+
+    // The right side is read when the query runs, not when it is built.
+    return this.pipe(rows => {
+      const matchesFor = matcher(other instanceof Query ? other.toArray() : Array.from(other), on);
+      return rows.flatMap(l => {
+        const matches = matchesFor(l);
+        if (matches.length === 0) return type === "left" ? [empty(l)] : [];
+        return matches.map(r => combine(l, r));
+      });
+    });
+  }
+
+  innerJoin(other, on, options) {
+    return this.join(other, on, { ...options, type: "inner" });
+  }
+
+  leftJoin(other, on, options) {
+    return this.join(other, on, { ...options, type: "left" });
+  }
+
+  toArray() {
+    return this.steps.reduce((rows, step) => step(rows), Array.from(this.source));
+  }
+
+  first() {
+    return this.limit(1).toArray()[0];
+  }
+
+  count() {
+    return this.toArray().length;
+  }
+
+  // Values of one field: from(users).pluck("name") → ["Alice", "Bob"]
+  pluck(field) {
+    return this.toArray().map(row => getField(row, field));
+  }
+
+  // Run one aggregate over the whole result: q.aggregate(avg("age"))
+  aggregate(fn) {
+    return fn(this.toArray());
+  }
+
+  [Symbol.iterator]() {
+    return this.toArray()[Symbol.iterator]();
+  }
+}
+
+function from(rows) {
+  return new Query(rows);
+}
+
+module.exports = {
+  from,
+  Query,
+  OPERATORS,
+  ...aggregates,
+};
@@ -0,0 +1,121 @@
+// ========================================================
+// Shared: Seedable Random Number Generator
+// ========================================================
+// - Math.random() cannot be seeded → every run is different,
+//   so examples with coin flips or random picks can't be replayed.
+// - createRandom(seed) returns a generator built on mulberry32:
+//     • tiny 32-bit state, fast, good enough for exercises & tests
+//     • NOT cryptographically secure (use crypto for tokens/passwords)
+// - Same seed → same sequence, on every machine.
+// - Seeds can be numbers or strings ("demo", "test-42").
+// - Day files read the seed from the SEED env variable:
+//     SEED=42 node day13-...js   → same coin flips every run
+
+// --------------------------------------------------------
+// 1. Seeding
+// --------------------------------------------------------
+
+// Hash any string into a 32-bit seed (FNV-1a).
+function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === "") {
+    // No seed given → pick one, but keep it so the run can be replayed.
+    return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+  }
+  if (typeof seed === "number") {
+    if (!Number.isFinite(seed)) throw new RangeError(`Seed must be finite, got ${seed}`);
+    return seed >>> 0;
+  }
+  if (typeof seed === "string") {
+    return /^\d+$/.test(seed) ? Number(seed) >>> 0 : hashSeed(seed);
+  }
+  throw new TypeError(`Seed must be a number or string, got ${typeof seed}`);
+}
+
+// mulberry32: returns a function producing floats in [0, 1).
+function mulberry32(state) {
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// --------------------------------------------------------
+// 2. Generator
+// --------------------------------------------------------
+
+function createRandom(seed) {
+  const initial = normalizeSeed(seed);
+  const next = mulberry32(initial);
+
+  // Integer in [min, max], both inclusive.
+  function int(min, max) {
+    if (!Number.isInteger(min) || !Number.isInteger(max)) {
+      throw new TypeError(`int(min, max) needs integers, got ${min}, ${max}`);
+    }
+    if (min > max) throw new RangeError(`min (${min}) must be <= max (${max})`);
+    return min + Math.floor(next() * (max - min + 1));
+  }
+
+  function pick(items) {
+    if (!items || items.length === 0) throw new RangeError("Cannot pick from an empty list");
+    return items[Math.floor(next() * items.length)];
+  }
+
+  // Fisher–Yates on a copy, the input array is left alone.
+  function shuffle(items) {
+    const copy = Array.from(items);
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(next() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  // true with probability p (0 → never, 1 → always).
+  function chance(p = 0.5) {
+    if (typeof p !== "number" || p < 0 || p > 1 || Number.isNaN(p)) {
+      throw new RangeError(`Probability must be between 0 and 1, got ${p}`);
+    }
+    return next() < p;
+  }
+
+  // weighted([["common", 80], ["rare", 15], ["epic", 5]]) → "common" most of the time
+  // Also accepts [{ value, weight }, ...].
+  function weighted(entries) {
+    const pairs = Array.from(entries, e => (Array.isArray(e) ? e : [e.value, e.weight]));
+    if (pairs.length === 0) throw new RangeError("Cannot pick from an empty list");
+
+    let total = 0;
+    for (const [value, weight] of pairs) {
+      if (typeof weight !== "number" || weight < 0 || !Number.isFinite(weight)) {
+        throw new RangeError(`Invalid weight ${weight} for ${String(value)}`);
+      }
+      total += weight;
+    }
+    if (total === 0) throw new RangeError("Weights must not all be zero");
+
+    let roll = next() * total;
+    for (const [value, weight] of pairs) {
+      roll -= weight;
+      if (roll < 0) return value;
+    }
+    // Float rounding safety net: fall back to the last item that can win.
+    return pairs.filter(([, weight]) => weight > 0).pop()[0];
+  }
+
+  return { seed: initial, next, int, pick, shuffle, chance, weighted };
+}
+
+module.exports = { createRandom, hashSeed };
@@ -0,0 +1,218 @@
+// ========================================================
+// Shared: Text Rendering (ASCII patterns & tables)
+// ========================================================
+// - Patterns are drawn on a grid: every shape is a rule "is cell
+//   (row, col) filled?". Hollow = keep only filled cells that touch an
+//   empty cell or the edge, so every shape gets a hollow version for free.
+//     rightTriangle(4)          pyramid(3, { hollow: true })
+//     *                           *
+//     **                         * *
+//     ***                       *****
+//     ****
+// - Tables size every column to its widest cell (measured in terminal
+//   columns, so emoji and accents line up, see strings.width) and render
+//   as "plain", "box", "markdown" or "csv".
+// - Everything returns a string, printing is up to the caller.
+
+const strings = require("./strings");
+
+// --------------------------------------------------------
+// 1. Patterns
+// --------------------------------------------------------
+
+// height × width grid → lines, trailing spaces trimmed.
+function draw(height, width, filled, { char = "*", hollow = false, invert = false } = {}) {
+  if (!Number.isInteger(height) || height < 1) {
+    throw new RangeError(`Size must be a positive integer, got ${height}`);
+  }
+  if (typeof char !== "string" || strings.width(char) !== 1) {
+    throw new TypeError(`char must be a single one-column character, got ${JSON.stringify(char)}`);
+  }
+
+  const inside = (r, c) => r >= 0 && r < height && c >= 0 && c < width && filled(r, c);
+  const edge = (r, c) => !inside(r - 1, c) || !inside(r + 1, c) || !inside(r, c - 1) || !inside(r, c + 1);
+
+  const lines = [];
+  for (let r = 0; r < height; r++) {
+    let line = "";
+    for (let c = 0; c < width; c++) {
+      line += inside(r, c) && (!hollow || edge(r, c)) ? char : " ";
+    }
+    lines.push(line.trimEnd());
+  }
+  return (invert ? lines.reverse() : lines).join("\n");
+}
+
+// Right angle bottom-left:   *  **  ***
+function rightTriangle(size, options) {
+  return draw(size, size, (r, c) => c <= r, options);
+}
+
+// Right angle bottom-right (right-aligned).
+function leftTriangle(size, options) {
+  return draw(size, size, (r, c) => c >= size - 1 - r, options);
+}
+
+// Centered, odd widths 1, 3, 5, ...
+function pyramid(size, options) {
+  return draw(size, 2 * size - 1, (r, c) => Math.abs(c - (size - 1)) <= r, options);
+}
+
+// size = rows from the tip to the middle row.
+function diamond(size, options) {
+  const mid = size - 1;
+  return draw(2 * size - 1, 2 * size - 1, (r, c) => Math.abs(c - mid) + Math.abs(r - mid) <= mid, options);
+}
+
+function square(size, options) {
+  return draw(size, size, () => true, options);
+}
+
+// Rows of Pascal's triangle as BigInt (row 60+ no longer fits a Number).
+function pascalRows(rows) {
+  if (!Number.isInteger(rows) || rows < 1) {
+    throw new RangeError(`rows must be a positive integer, got ${rows}`);
+  }
+  const result = [[1n]];
+  while (result.length < rows) {
+    const prev = result[result.length - 1];
+    result.push([1n, ...prev.slice(1).map((v, i) => v + prev[i]), 1n]);
+  }
+  return result;
+}
+
+// Centered triangle, every number in a cell as wide as the biggest one.
+function pascal(rows) {
+  const data = pascalRows(rows);
+  const cell = Math.max(...data[data.length - 1].map(v => String(v).length));
+  const lines = data.map(row => row.map(v => center(String(v), cell)).join(" "));
+  const full = lines[lines.length - 1].length;
+  return lines.map(line => (" ".repeat(Math.floor((full - line.length) / 2)) + line).trimEnd()).join("\n");
+}
+
+const PATTERNS = { rightTriangle, leftTriangle, pyramid, diamond, square, pascal };
+
+// --------------------------------------------------------
+// 2. Tables
+// --------------------------------------------------------
+
+const FORMATS = ["plain", "box", "markdown", "csv"];
+
+function pad(text, size, align) {
+  const gap = Math.max(0, size - strings.width(text));
+  if (align === "right") return " ".repeat(gap) + text;
+  if (align === "center") return " ".repeat(Math.floor(gap / 2)) + text + " ".repeat(Math.ceil(gap / 2));
+  return text + " ".repeat(gap);
+}
+
+function center(text, size) {
+  return pad(text, size, "center");
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  return String(value).replace(/\r?\n/g, " ");
+}
+
+const isNumeric = value => typeof value === "number" || typeof value === "bigint";
+
+// columns: ["name", "age"] or [{ key, title, align }]. Defaults come from
+// the rows: object keys (in first-seen order) or array indexes.
+function normalizeColumns(rows, columns) {
+  if (!columns) {
+    if (rows.every(Array.isArray)) {
+      const count = rows.reduce((most, r) => Math.max(most, r.length), 0);
+      columns = Array.from({ length: count }, (_, i) => ({ key: i, title: "" }));
+    } else {
+      const keys = new Set();
+      for (const row of rows) for (const key of Object.keys(row)) keys.add(key);
+      columns = [...keys];
+    }
+  }
+  return columns.map(column => {
+    const spec = typeof column === "object" ? column : { key: column };
+    const title = spec.title !== undefined ? String(spec.title) : String(spec.key);
+    const values = rows.map(row => row[spec.key]).filter(v => v !== null && v !== undefined);
+    const align = spec.align || (values.length > 0 && values.every(isNumeric) ? "right" : "left");
+    if (!["left", "right", "center"].includes(align)) {
+      throw new RangeError(`Column "${title}": align must be left, right or center, got ${align}`);
+    }
+    return { key: spec.key, title, align };
+  });
+}
+
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// table(rows, { columns, format = "plain", header })
+// header defaults to true unless every column title is empty (array rows).
+function table(rows, { columns, format = "plain", header } = {}) {
+  if (!Array.isArray(rows)) throw new TypeError("rows must be an array");
+  if (!FORMATS.includes(format)) {
+    throw new RangeError(`Unknown format "${format}", expected one of ${FORMATS.join(", ")}`);
+  }
+  const cols = normalizeColumns(rows, columns);
+  const showHeader = header !== undefined ? header : cols.some(c => c.title !== "");
+
+  if (format === "csv") {
+    // Raw values (newlines kept, quoted), no padding.
+    const raw = value => (value === null || value === undefined ? "" : value instanceof Date ? value.toISOString() : String(value));
+    const lines = rows.map(row => cols.map(c => csvField(raw(row[c.key]))).join(","));
+    if (showHeader) lines.unshift(cols.map(c => csvField(c.title)).join(","));
+    return lines.join("\r\n");
+  }
+
+  // Markdown escapes "|" before measuring, so the escaped cells still line up.
+  const text = format === "markdown" ? value => cellText(value).replace(/\|/g, "\\|") : cellText;
+  const body = rows.map(row => cols.map(c => text(row[c.key])));
+  const titles = cols.map(c => text(c.title));
+  // reduce, not Math.max(...body): spreading 300k rows overflows the call stack.
+  const widths = cols.map((c, i) =>
+    body.reduce(
+      (widest, cells) => Math.max(widest, strings.width(cells[i])),
+      Math.max(showHeader ? strings.width(titles[i]) : 0, format === "markdown" ? 3 : 1)
+    )
+  );
+  const line = cells => cells.map((text, i) => pad(text, widths[i], cols[i].align));
+
+  if (format === "markdown") {
+    const row = cells => `| ${line(cells).join(" | ")} |`;
+    const rule = cols.map((c, i) => {
+      const dashes = "-".repeat(widths[i]);
+      if (c.align === "right") return `${dashes.slice(1)}:`;
+      if (c.align === "center") return `:${dashes.slice(2)}:`;
+      return dashes;
+    });
+    // Markdown needs a header row, an empty one if there are no titles.
+    return [row(showHeader ? titles : titles.map(() => "")), `| ${rule.join(" | ")} |`, ...body.map(row)].join("\n");
+  }
+
+  if (format === "box") {
+    const border = (left, mid, right) => left + widths.map(w => "─".repeat(w + 2)).join(mid) + right;
+    const row = cells => `│ ${line(cells).join(" │ ")} │`;
+    const out = [border("┌", "┬", "┐")];
+    if (showHeader) out.push(row(titles), border("├", "┼", "┤"));
+    out.push(...body.map(row), border("└", "┴", "┘"));
+    return out.join("\n");
+  }
+
+  // plain: two spaces between columns, dashes under the header.
+  const row = cells => line(cells).join("  ").trimEnd();
+  const out = showHeader ? [row(titles), widths.map(w => "-".repeat(w)).join("  ")] : [];
+  return [...out, ...body.map(row)].join("\n");
+}
+
+module.exports = {
+  rightTriangle,
+  leftTriangle,
+  pyramid,
+  diamond,
+  square,
+  pascal,
+  pascalRows,
+  PATTERNS,
+  FORMATS,
+  table,
+};
@@ -0,0 +1,355 @@
+// ========================================================
+// Shared: Descriptive Statistics & Grade Curves
+// ========================================================
+// - Input is any array (or iterable) of numbers.
+// - Nothing is guessed silently:
+//     empty input          → RangeError ("mean of an empty list")
+//     NaN / null / undefined → TypeError, unless { missing: "skip" }
+//     strings, "42", ...   → always TypeError (no coercion)
+// - Sums use Neumaier compensation and variance uses Welford's method,
+//   so long lists of decimals (87.5, 91.25, ...) don't drift.
+// - variance/stddev are POPULATION by default (the whole class);
+//   pass { sample: true } for the n - 1 version.
+// - percentile() interpolates linearly between ranks, the same as
+//   Excel PERCENTILE.INC / NumPy's default.
+
+// --------------------------------------------------------
+// 1. Input Checks
+// --------------------------------------------------------
+
+const MISSING = ["error", "skip"];
+
+function isMissing(v) {
+  return v === null || v === undefined || (typeof v === "number" && Number.isNaN(v));
+}
+
+// Arrays pass through, other iterables (generators) are read once into an array.
+function toList(values, name = "values") {
+  if (values === null || values === undefined || typeof values[Symbol.iterator] !== "function" || typeof values === "string") {
+    throw new TypeError(`${name} must be an array of numbers`);
+  }
+  return Array.isArray(values) ? values : Array.from(values);
+}
+
+// → clean array of numbers (Infinity is allowed, it is a number).
+function numbers(values, { missing = "error" } = {}, name = "values") {
+  if (!MISSING.includes(missing)) {
+    throw new RangeError(`missing must be one of ${MISSING.join(", ")}, got ${missing}`);
+  }
+  const result = [];
+  let index = 0;
+  for (const v of toList(values, name)) {
+    if (isMissing(v)) {
+      if (missing === "error") {
+        throw new TypeError(`${name}[${index}] is ${v}, pass { missing: "skip" } to ignore missing values`);
+      }
+    } else if (typeof v !== "number") {
+      throw new TypeError(`${name}[${index}] is not a number: ${JSON.stringify(v)}`);
+    } else {
+      result.push(v);
+    }
+    index++;
+  }
+  return result;
+}
+
+function nonEmpty(values, options, what) {
+  const list = numbers(values, options);
+  if (list.length === 0) throw new RangeError(`${what} of an empty list`);
+  return list;
+}
+
+function checkNumber(value, name) {
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    throw new TypeError(`${name} must be a number, got ${value}`);
+  }
+}
+
+// --------------------------------------------------------
+// 2. Central Tendency & Spread
+// --------------------------------------------------------
+
+// Neumaier (improved Kahan) summation.
+function preciseSum(list) {
+  let sum = 0;
+  let compensation = 0;
+  for (const v of list) {
+    const t = sum + v;
+    compensation += Math.abs(sum) >= Math.abs(v) ? sum - t + v : v - t + sum;
+    sum = t;
+  }
+  // With Infinity the compensation becomes ∞ - ∞ = NaN; the plain total is right.
+  return Number.isFinite(sum) ? sum + compensation : sum;
+}
+
+function sum(values, options) {
+  return preciseSum(numbers(values, options));
+}
+
+function mean(values, options) {
+  const list = nonEmpty(values, options, "mean");
+  return preciseSum(list) / list.length;
+}
+
+function median(values, options) {
+  return percentile(values, 50, options);
+}
+
+// All most frequent values, ascending: mode([1, 2, 2, 3, 3]) → [2, 3].
+// Every value once → every value is a mode.
+function mode(values, options) {
+  const list = nonEmpty(values, options, "mode");
+  const counts = new Map();
+  for (const v of list) counts.set(v, (counts.get(v) || 0) + 1);
+  let top = 0;
+  for (const c of counts.values()) if (c > top) top = c; // no Math.max(...): huge lists overflow the stack
+  return [...counts].filter(([, c]) => c === top).map(([v]) => v).sort((a, b) => a - b);
+}
+
+function variance(values, { sample = false, ...options } = {}) {
+  const list = nonEmpty(values, options, "variance");
+  if (sample && list.length < 2) throw new RangeError("Sample variance needs at least 2 values");
+  // Welford: one pass, no catastrophic cancellation.
+  let avg = 0;
+  let m2 = 0;
+  list.forEach((v, i) => {
+    const delta = v - avg;
+    avg += delta / (i + 1);
+    m2 += delta * (v - avg);
+  });
+  return m2 / (sample ? list.length - 1 : list.length);
+}
+
+function stddev(values, options) {
+  return Math.sqrt(variance(values, options));
+}
+
+function min(values, options) {
+  return nonEmpty(values, options, "min").reduce((a, b) => (b < a ? b : a));
+}
+
+function max(values, options) {
+  return nonEmpty(values, options, "max").reduce((a, b) => (b > a ? b : a));
+}
+
+// --------------------------------------------------------
+// 3. Position
+// --------------------------------------------------------
+
+const sortedCopy = list => [...list].sort((a, b) => a - b);
+
+function percentileOfSorted(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  // Exact rank (or equal neighbours) → no arithmetic, so Infinity stays
+  // Infinity instead of becoming (Infinity - Infinity) * 0 = NaN.
+  if (rank === low || sorted[low] === sorted[high]) return sorted[low];
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+// p from 0 to 100: percentile(scores, 90) → the score 90% are at or below.
+function percentile(values, p, options) {
+  checkNumber(p, "p");
+  if (p < 0 || p > 100) throw new RangeError(`p must be between 0 and 100, got ${p}`);
+  return percentileOfSorted(sortedCopy(nonEmpty(values, options, "percentile")), p);
+}
+
+// { q1, q2 (median), q3, iqr }
+function quartiles(values, options) {
+  const sorted = sortedCopy(nonEmpty(values, options, "quartiles"));
+  const [q1, q2, q3] = [25, 50, 75].map(p => percentileOfSorted(sorted, p));
+  return { q1, q2, q3, iqr: q3 - q1 };
+}
+
+// How many standard deviations each value is from the mean.
+// All values equal → every z-score is 0 (nobody is above or below).
+// Missing values stay missing (null) so positions still line up with the input.
+function zScores(values, { sample = false, missing = "error" } = {}) {
+  const input = toList(values);
+  const list = nonEmpty(input, { missing }, "zScores");
+  const avg = preciseSum(list) / list.length;
+  const sd = Math.sqrt(variance(list, { sample }));
+  return input.map(v => (isMissing(v) ? null : sd === 0 ? 0 : (v - avg) / sd));
+}
+
+// One-stop overview: { count, min, max, mean, median, stddev, q1, q3 }
+function summary(values, options) {
+  const list = nonEmpty(values, options, "summary");
+  const { q1, q2, q3 } = quartiles(list);
+  return {
+    count: list.length,
+    min: min(list),
+    max: max(list),
+    mean: mean(list),
+    median: q2,
+    stddev: stddev(list),
+    q1,
+    q3,
+  };
+}
+
+// --------------------------------------------------------
+// 4. Histogram
+// --------------------------------------------------------
+
+// Equal-width bins: [{ from, to, count }]. Bins include `from` and exclude
+// `to`, except the last one which includes the maximum.
+//   histogram(scores, { bins: 5 })          5 bins between min and max
+//   histogram(scores, { binWidth: 10, min: 0, max: 100 })  0–10, 10–20, ...
+// Values outside [min, max] are counted in `outside`, not dropped silently.
+// ±Infinity fits in no bin → always `outside`; the default range comes
+// from the finite values only.
+const MAX_BINS = 100000;
+
+function histogram(values, { bins, binWidth, min: low, max: high, missing } = {}) {
+  const list = numbers(values, { missing });
+  if (bins !== undefined && binWidth !== undefined) throw new TypeError("Pass bins OR binWidth, not both");
+  const finite = list.filter(Number.isFinite);
+  const from = low !== undefined ? low : finite.length ? min(finite) : 0;
+  const to = high !== undefined ? high : finite.length ? max(finite) : 0;
+  checkNumber(from, "min");
+  checkNumber(to, "max");
+  if (!Number.isFinite(from) || !Number.isFinite(to)) {
+    throw new RangeError(`min and max must be finite to split the range into bins, got ${from}–${to}`);
+  }
+  if (to < from) throw new RangeError(`max (${to}) is smaller than min (${from})`);
+
+  let count;
+  let width;
+  if (binWidth !== undefined) {
+    checkNumber(binWidth, "binWidth");
+    if (binWidth <= 0) throw new RangeError(`binWidth must be positive, got ${binWidth}`);
+    width = binWidth;
+    count = Math.max(1, Math.ceil((to - from) / binWidth));
+    if (!(count <= MAX_BINS)) {
+      throw new RangeError(`binWidth ${binWidth} over ${from}–${to} needs ${count} bins, more than the limit of ${MAX_BINS}`);
+    }
+  } else {
+    count = bins === undefined ? 10 : bins;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BINS) {
+      throw new RangeError(`bins must be an integer from 1 to ${MAX_BINS}, got ${bins}`);
+    }
+    width = (to - from) / count || 1; // all values equal → one-wide bins
+  }
+
+  const result = Array.from({ length: count }, (_, i) => ({
+    from: from + i * width,
+    to: i === count - 1 && binWidth === undefined && to > from ? to : from + (i + 1) * width,
+    count: 0,
+  }));
+  let outside = 0;
+  for (const v of list) {
+    if (v < from || v > to) {
+      outside++;
+      continue;
+    }
+    result[Math.min(count - 1, Math.floor((v - from) / width))].count++;
+  }
+  result.outside = outside;
+  return result;
+}
+
+// --------------------------------------------------------
+// 5. Grade Curves
+// --------------------------------------------------------
+// All helpers return a NEW array and keep scores inside [min, max]
+// (default 0–100). Missing scores stay null in the same position.
+
+function checkRange(lowest, highest) {
+  checkNumber(lowest, "min");
+  checkNumber(highest, "max");
+  if (highest < lowest) throw new RangeError(`max (${highest}) is smaller than min (${lowest})`);
+}
+
+function mapScores(scores, missing, fn) {
+  const input = toList(scores, "scores");
+  numbers(input, { missing }, "scores"); // validate
+  return input.map(v => (isMissing(v) ? null : fn(v)));
+}
+
+function clamp(scores, { min: lowest = 0, max: highest = 100, missing } = {}) {
+  checkRange(lowest, highest);
+  return mapScores(scores, missing, v => Math.min(highest, Math.max(lowest, v)));
+}
+
+// addBonus([45, 98], 5) → [50, 100]
+function addBonus(scores, bonus, { min: lowest = 0, max: highest = 100, missing } = {}) {
+  checkNumber(bonus, "bonus");
+  checkRange(lowest, highest);
+  return mapScores(scores, missing, v => Math.min(highest, Math.max(lowest, v + bonus)));
+}
+
+// Curve the class so the mean lands on `target`:
+//   "shift"    → same bonus for everyone (x + k)
+//   "multiply" → same factor for everyone (x × k)
+// Clamping at max would pull the mean below the target, so k is solved
+// WITH clamping applied (bisection) → the returned mean really is the target.
+function scaleToMean(scores, target, { method = "shift", min: lowest = 0, max: highest = 100, missing } = {}) {
+  checkNumber(target, "target");
+  checkRange(lowest, highest);
+  if (target < lowest || target > highest) {
+    throw new RangeError(`target ${target} is outside ${lowest}–${highest}`);
+  }
+  if (method !== "shift" && method !== "multiply") {
+    throw new RangeError(`method must be "shift" or "multiply", got ${method}`);
+  }
+  const input = toList(scores, "scores");
+  const list = nonEmpty(input, { missing }, "scaleToMean");
+  const apply = k => v => Math.min(highest, Math.max(lowest, method === "shift" ? v + k : v * k));
+  const meanWith = k => preciseSum(list.map(apply(k))) / list.length;
+
+  // Nobody hits min/max → k has a closed form (and no bisection float noise).
+  const average = mean(list);
+  const exact = method === "shift" ? target - average : average > 0 ? target / average : NaN;
+  const unclamped = v => {
+    const scaled = method === "shift" ? v + exact : v * exact;
+    return scaled >= lowest && scaled <= highest;
+  };
+  if (Number.isFinite(exact) && list.every(unclamped)) return mapScores(input, missing, apply(exact));
+
+  // Search range for k: from "everyone at min" to "everyone at max" (as far as k can push).
+  let lo;
+  let hi;
+  if (method === "shift") {
+    lo = lowest - max(list);
+    hi = highest - min(list);
+  } else {
+    const positive = list.filter(v => v > 0);
+    if (positive.length === 0) throw new RangeError("Cannot scale scores that are all zero or negative by a factor");
+    lo = 0;
+    hi = Math.max(1, highest / min(positive));
+  }
+  if (meanWith(hi) < target || meanWith(lo) > target) {
+    throw new RangeError(`Cannot reach a mean of ${target} with method "${method}"`);
+  }
+  for (let i = 0; i < 200 && hi - lo > 1e-12; i++) {
+    const mid = (lo + hi) / 2;
+    if (meanWith(mid) < target) lo = mid;
+    else hi = mid;
+  }
+  // Bisection ends ~1e-12 off: 12 significant digits drop the noise
+  // (7.50000000000026 → 7.5), unless rounding moves the mean further away.
+  const rounded = Number(hi.toPrecision(12));
+  const k = Math.abs(meanWith(rounded) - target) <= Math.abs(meanWith(hi) - target) ? rounded : hi;
+  return mapScores(input, missing, apply(k));
+}
+
+module.exports = {
+  sum,
+  mean,
+  median,
+  mode,
+  variance,
+  stddev,
+  min,
+  max,
+  percentile,
+  quartiles,
+  zScores,
+  summary,
+  histogram,
+  clamp,
+  addBonus,
+  scaleToMean,
+};
@@ -0,0 +1,165 @@
+// ========================================================
+// Shared: Unicode-aware String Toolkit
+// ========================================================
+// - str.split("") splits into UTF-16 code units, NOT characters.
+//   "😀".split("") → two broken halves of a surrogate pair.
+// - What a user sees as ONE character is a "grapheme cluster":
+//   "é" may be "e" + combining accent, "👍🏽" is emoji + skin tone,
+//   "👨‍👩‍👧" is several emoji glued with zero-width joiners.
+// - Intl.Segmenter splits text into graphemes correctly, so every
+//   helper below works on graphemes instead of code units.
+// - Vowel/consonant counting strips accents (NFD normalization) and
+//   checks the base letter against a per-script vowel table.
+
+// --------------------------------------------------------
+// 1. Graphemes
+// --------------------------------------------------------
+
+const segmenters = new Map();
+
+function getSegmenter(locale) {
+  const key = locale || "";
+  if (!segmenters.has(key)) {
+    segmenters.set(key, new Intl.Segmenter(locale, { granularity: "grapheme" }));
+  }
+  return segmenters.get(key);
+}
+
+// Split a string into an array of grapheme clusters.
+function graphemes(str, locale) {
+  if (typeof str !== "string") {
+    throw new TypeError(`Expected a string, got ${typeof str}`);
+  }
+  if (typeof Intl === "undefined" || typeof Intl.Segmenter !== "function") {
+    // Fallback: code points at least keep surrogate pairs intact.
+    return Array.from(str);
+  }
+  return Array.from(getSegmenter(locale).segment(str), s => s.segment);
+}
+
+// Number of user-visible characters.
+function length(str, locale) {
+  return graphemes(str, locale).length;
+}
+
+// Reverse without tearing emoji or separating accents from letters.
+function reverse(str, locale) {
+  return graphemes(str, locale).reverse().join("");
+}
+
+// Same semantics as Array.prototype.slice, counted in graphemes
+// (negative indexes count from the end).
+function slice(str, start, end, locale) {
+  return graphemes(str, locale).slice(start, end).join("");
+}
+
+// Shorten to at most `max` graphemes, ellipsis included.
+function truncate(str, max, { ellipsis = "…", locale } = {}) {
+  if (!Number.isInteger(max) || max < 0) {
+    throw new RangeError(`max must be a non-negative integer, got ${max}`);
+  }
+  const parts = graphemes(str, locale);
+  if (parts.length <= max) return str;
+
+  const marker = graphemes(ellipsis, locale);
+  if (marker.length >= max) return marker.slice(0, max).join("");
+  return parts.slice(0, max - marker.length).join("") + ellipsis;
+}
+
+// Terminal columns a string takes: emoji and CJK are two columns wide,
+// combining marks and zero-width characters take none.
+const WIDE = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]|[\u{20000}-\u{3fffd}])/u;
+const ZERO_WIDTH = /^[\p{M}\u200b-\u200f\u2060\ufeff]*$/u;
+
+function width(str, locale) {
+  let total = 0;
+  for (const g of graphemes(str, locale)) {
+    if (ZERO_WIDTH.test(g)) continue;
+    total += WIDE.test(g) ? 2 : 1;
+  }
+  return total;
+}
+
+// --------------------------------------------------------
+// 2. Vowels & Consonants
+// --------------------------------------------------------
+
+// Base vowels per script (accents are removed before lookup).
+const VOWELS = {
+  Latin: new Set("aeiouæœøɑɛɪɔʊə"),
+  Greek: new Set("αεηιουω"),
+  Cyrillic: new Set("аеиоуыэюяіїєё"),
+  Armenian: new Set("աեէըիոօ"),
+};
+
+// Locales where "y" is a full vowel (Nordic, West Slavic, ...).
+const Y_VOWEL_LOCALES = new Set(["cs", "da", "et", "fi", "fo", "is", "nb", "nl", "nn", "no", "pl", "sk", "sv"]);
+
+const SCRIPT_TESTS = Object.keys(VOWELS).map(script => [
+  script,
+  new RegExp(`^\\p{Script=${script}}$`, "u"),
+]);
+
+// Letters that decompose to a vowel but are read as consonants ("й" → "и" + breve).
+const NOT_VOWELS = new Set("йў");
+
+const LETTER = /^\p{L}$/u;
+
+function baseLetter(grapheme) {
+  // "É" → "E" + U+0301 → "e"; "ё" → "е" + U+0308 → "е"
+  const first = Array.from(grapheme.normalize("NFD"))[0];
+  return first ? first.toLocaleLowerCase() : "";
+}
+
+function language(locale) {
+  return locale ? String(locale).split(/[-_]/)[0].toLowerCase() : "";
+}
+
+// Classify one grapheme as "vowel", "consonant" or "other".
+// Letters from scripts without a vowel table (Han, Devanagari, ...) are "other".
+function classify(grapheme, locale) {
+  const base = baseLetter(grapheme);
+  if (!LETTER.test(base)) return "other";
+  if (NOT_VOWELS.has(grapheme.normalize("NFC").toLocaleLowerCase())) return "consonant";
+
+  for (const [script, test] of SCRIPT_TESTS) {
+    if (!test.test(base)) continue;
+    if (VOWELS[script].has(base)) return "vowel";
+    if (script === "Latin" && base === "y" && Y_VOWEL_LOCALES.has(language(locale))) return "vowel";
+    return "consonant";
+  }
+  return "other";
+}
+
+// Count vowels, consonants and everything else in one pass.
+function letterStats(str, locale) {
+  const stats = { vowels: 0, consonants: 0, other: 0 };
+  for (const g of graphemes(str, locale)) {
+    const kind = classify(g, locale);
+    if (kind === "vowel") stats.vowels++;
+    else if (kind === "consonant") stats.consonants++;
+    else stats.other++;
+  }
+  return stats;
+}
+
+function countVowels(str, locale) {
+  return letterStats(str, locale).vowels;
+}
+
+function countConsonants(str, locale) {
+  return letterStats(str, locale).consonants;
+}
+
+module.exports = {
+  graphemes,
+  length,
+  reverse,
+  slice,
+  truncate,
+  width,
+  classify,
+  letterStats,
+  countVowels,
+  countConsonants,
+};
@@ -0,0 +1,458 @@
+// ========================================================
+// Shared: Structural Utilities (deep copy, compare, merge, paths, diff)
+// ========================================================
+// - { ...user } and arr.concat() only copy ONE level: nested objects
+//   are still shared, so changing copy.address.city changes the original.
+// - Everything here walks the whole structure and understands Dates,
+//   RegExps, Maps, Sets, typed arrays and cycles (a.self = a).
+// - Nothing mutates its input: set/unset/deepMerge/applyPatch return a
+//   new object and copy only the branch that changed (structural
+//   sharing), which is exactly what state updates need:
+//     state = set(state, "user.address.city", "Pune")
+// - Paths: "a.b[0].c", "a.b.0.c" or ["a", "b", 0, "c"].
+// - diff(a, b) returns JSON-Patch (RFC 6902) operations, applyPatch()
+//   plays them back: applyPatch(a, diff(a, b)) deep-equals b.
+
+// --------------------------------------------------------
+// 1. Helpers
+// --------------------------------------------------------
+
+const tag = value => Object.prototype.toString.call(value);
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object" || tag(value) !== "[object Object]") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || proto === Object.prototype;
+}
+
+// obj["__proto__"] = ... swaps the prototype instead of writing a key.
+// "constructor" and "prototype" are ordinary data keys: writes create own
+// properties, and set() only walks into OWN properties, so a path like
+// "constructor.prototype.x" never reaches Object.prototype.
+function checkKey(key) {
+  if (String(key) === "__proto__") throw new TypeError('Refusing to use unsafe key "__proto__"');
+}
+
+// copy[key] = value would run the __proto__ setter for an own "__proto__"
+// key (JSON.parse can create one) and change the prototype instead.
+function defineOwn(obj, key, value) {
+  Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+// Own enumerable keys, symbols included (what { ...obj } copies).
+function ownKeys(obj) {
+  return Reflect.ownKeys(obj).filter(key => Object.prototype.propertyIsEnumerable.call(obj, key));
+}
+
+// Same rule as Array#includes: NaN equals NaN, +0 equals -0.
+const sameValueZero = (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b));
+
+// --------------------------------------------------------
+// 2. flatten
+// --------------------------------------------------------
+
+// flatten([1, [2, [3, [4]]]])    → [1, 2, 3, 4]
+// flatten([1, [2, [3, [4]]]], 1) → [1, 2, [3, [4]]]
+// Uses its own stack instead of recursion → no stack overflow on deep input.
+function flatten(array, depth = Infinity) {
+  if (!Array.isArray(array)) throw new TypeError("flatten() expects an array");
+  if (!(Number.isInteger(depth) || depth === Infinity) || depth < 0) {
+    throw new RangeError(`depth must be a non-negative integer or Infinity, got ${depth}`);
+  }
+  const result = [];
+  const stack = [{ items: array, index: 0, depth }];
+  const active = new Set([array]);
+  while (stack.length) {
+    const frame = stack[stack.length - 1];
+    if (frame.index >= frame.items.length) {
+      active.delete(frame.items);
+      stack.pop();
+      continue;
+    }
+    const item = frame.items[frame.index++];
+    if (Array.isArray(item) && frame.depth > 0) {
+      if (active.has(item)) throw new TypeError("Cannot flatten an array that contains itself");
+      active.add(item);
+      stack.push({ items: item, index: 0, depth: frame.depth - 1 });
+    } else {
+      result.push(item);
+    }
+  }
+  return result;
+}
+
+// --------------------------------------------------------
+// 3. deepClone
+// --------------------------------------------------------
+
+// Functions, WeakMaps, WeakSets and Promises are shared, not copied
+// (they can't be copied meaningfully). Class instances keep their prototype.
+function deepClone(value, seen = new Map()) {
+  if (value === null || typeof value !== "object") return value;
+  if (seen.has(value)) return seen.get(value);
+
+  const kind = tag(value);
+  let copy;
+  if (kind === "[object Date]") copy = new Date(value.getTime());
+  else if (kind === "[object RegExp]") {
+    copy = new RegExp(value.source, value.flags);
+    copy.lastIndex = value.lastIndex;
+  } else if (kind === "[object ArrayBuffer]") copy = value.slice(0);
+  else if (ArrayBuffer.isView(value)) {
+    copy = kind === "[object DataView]" ? new DataView(value.buffer.slice(0)) : value.slice();
+  } else if (kind === "[object WeakMap]" || kind === "[object WeakSet]" || kind === "[object Promise]") return value;
+  else if (kind === "[object Map]") {
+    copy = new Map();
+    seen.set(value, copy);
+    for (const [k, v] of value) copy.set(deepClone(k, seen), deepClone(v, seen));
+    return copy;
+  } else if (kind === "[object Set]") {
+    copy = new Set();
+    seen.set(value, copy);
+    for (const v of value) copy.add(deepClone(v, seen));
+    return copy;
+  } else if (Array.isArray(value)) copy = new Array(value.length);
+  else copy = Object.create(Object.getPrototypeOf(value));
+
+  seen.set(value, copy);
+  if (!ArrayBuffer.isView(value) && kind !== "[object ArrayBuffer]") {
+    for (const key of ownKeys(value)) defineOwn(copy, key, deepClone(value[key], seen));
+  }
+  return copy;
+}
+
+// --------------------------------------------------------
+// 4. deepEqual
+// --------------------------------------------------------
+
+// Structural equality: same shape, same values, same kinds (an array never
+// equals an object with keys "0", "1"). NaN equals NaN. Cycles are fine.
+function deepEqual(a, b, seen = new Map()) {
+  if (sameValueZero(a, b)) return true;
+  if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return false;
+
+  const kind = tag(a);
+  if (kind !== tag(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  // This pair is already being compared further up → a cycle, assume equal.
+  // Pairs are removed again once done, so a failed Set/Map candidate
+  // comparison can't be mistaken for a match later.
+  if (seen.has(a) && seen.get(a).has(b)) return true;
+  if (!seen.has(a)) seen.set(a, new Set());
+  seen.get(a).add(b);
+  try {
+    return compareObjects(a, b, kind, seen);
+  } finally {
+    seen.get(a).delete(b);
+  }
+}
+
+function compareObjects(a, b, kind, seen) {
+  if (kind === "[object Date]") return sameValueZero(a.getTime(), b.getTime());
+  if (kind === "[object RegExp]") return a.source === b.source && a.flags === b.flags;
+  if (kind === "[object ArrayBuffer]") return deepEqual(new Uint8Array(a), new Uint8Array(b), seen);
+  if (kind === "[object DataView]") {
+    return deepEqual(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), new Uint8Array(b.buffer, b.byteOffset, b.byteLength), seen);
+  }
+  if (ArrayBuffer.isView(a)) {
+    return a.length === b.length && a.every((v, i) => sameValueZero(v, b[i]));
+  }
+  if (kind === "[object Map]") {
+    if (a.size !== b.size) return false;
+    for (const [key, value] of a) {
+      if (b.has(key)) {
+        if (!deepEqual(value, b.get(key), seen)) return false;
+      } else {
+        // Object keys: look for a structurally equal key (O(n²), rare).
+        const match = [...b].find(([k, v]) => typeof key === "object" && deepEqual(key, k, seen) && deepEqual(value, v, seen));
+        if (!match) return false;
+      }
+    }
+    return true;
+  }
+  if (kind === "[object Set]") {
+    if (a.size !== b.size) return false;
+    const unmatched = [...b].filter(v => !a.has(v));
+    for (const value of a) {
+      if (b.has(value)) continue;
+      const index = unmatched.findIndex(v => deepEqual(value, v, seen));
+      if (index === -1) return false;
+      unmatched.splice(index, 1);
+    }
+    return true;
+  }
+
+  const keysA = ownKeys(a);
+  const keysB = ownKeys(b);
+  if (keysA.length !== keysB.length) return false;
+  if (Array.isArray(a) && a.length !== b.length) return false;
+  return keysA.every(key => Object.prototype.propertyIsEnumerable.call(b, key) && deepEqual(a[key], b[key], seen));
+}
+
+// --------------------------------------------------------
+// 5. deepMerge
+// --------------------------------------------------------
+
+// How arrays meet: target [1, 2] + source [2, 3]
+//   "replace" → [2, 3]        (default, like JSON config overrides)
+//   "concat"  → [1, 2, 2, 3]
+//   "union"   → [1, 2, 3]     (deepEqual duplicates dropped)
+//   "merge"   → index by index: deepMerge(target[i], source[i])
+//   (target, source) => array  your own rule
+const ARRAY_STRATEGIES = {
+  replace: (target, source) => source.map(v => deepClone(v)),
+  concat: (target, source) => [...target, ...source].map(v => deepClone(v)),
+  union: (target, source) => {
+    const result = target.map(v => deepClone(v));
+    for (const v of source) if (!result.some(r => deepEqual(r, v))) result.push(deepClone(v));
+    return result;
+  },
+  merge: (target, source, options) => {
+    const length = Math.max(target.length, source.length);
+    return Array.from({ length }, (_, i) => (i < source.length ? mergeValue(target[i], source[i], options) : deepClone(target[i])));
+  },
+};
+
+function mergeValue(target, source, options) {
+  if (source === undefined) return deepClone(target);
+  if (Array.isArray(target) && Array.isArray(source)) {
+    const strategy = typeof options.arrays === "function" ? options.arrays : ARRAY_STRATEGIES[options.arrays];
+    return strategy(target, source, options);
+  }
+  if (isPlainObject(target) && isPlainObject(source)) {
+    const result = deepClone(target);
+    for (const key of ownKeys(source)) {
+      checkKey(key);
+      if (source[key] === undefined) continue;
+      const own = Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+      result[key] = mergeValue(own, source[key], options);
+    }
+    return result;
+  }
+  return deepClone(source);
+}
+
+// New object: plain objects are merged key by key, everything else in
+// `source` wins. undefined in `source` means "not set" and keeps the target value.
+function deepMerge(target, source, { arrays = "replace" } = {}) {
+  if (typeof arrays !== "function" && !Object.prototype.hasOwnProperty.call(ARRAY_STRATEGIES, arrays)) {
+    throw new RangeError(`Unknown array strategy "${arrays}", expected one of ${Object.keys(ARRAY_STRATEGIES).join(", ")} or a function`);
+  }
+  return mergeValue(target, source, { arrays });
+}
+
+// --------------------------------------------------------
+// 6. Paths: get / set / unset
+// --------------------------------------------------------
+
+// "a.b[0]['x.y']" → ["a", "b", 0, "x.y"]
+function parsePath(path) {
+  if (Array.isArray(path)) return path;
+  if (typeof path === "number") return [path];
+  if (typeof path !== "string") throw new TypeError(`Path must be a string or an array, got ${typeof path}`);
+  if (path === "") return [];
+  const keys = [];
+  const pattern = /\[(\d+)\]|\[(["'])((?:\\.|(?!\2).)*)\2\]|([^.[\]]+)/g;
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(path))) {
+    const between = path.slice(lastIndex, match.index);
+    if (between !== "" && between !== ".") throw new SyntaxError(`Bad path "${path}" near "${between}"`);
+    lastIndex = pattern.lastIndex;
+    if (match[1] !== undefined) keys.push(Number(match[1]));
+    else if (match[3] !== undefined) keys.push(match[3].replace(/\\(.)/g, "$1"));
+    else keys.push(/^\d+$/.test(match[4]) ? Number(match[4]) : match[4]);
+  }
+  if (lastIndex !== path.length) throw new SyntaxError(`Bad path "${path}"`);
+  return keys;
+}
+
+function get(obj, path, fallback) {
+  let current = obj;
+  for (const key of parsePath(path)) {
+    if (current === null || current === undefined) return fallback;
+    current = current instanceof Map ? current.get(key) : current[key];
+  }
+  return current === undefined ? fallback : current;
+}
+
+function has(obj, path) {
+  const keys = parsePath(path);
+  let current = obj;
+  for (const key of keys) {
+    if (current === null || typeof current !== "object") return false;
+    if (current instanceof Map ? !current.has(key) : !Object.prototype.hasOwnProperty.call(current, key)) return false;
+    current = current instanceof Map ? current.get(key) : current[key];
+  }
+  return true;
+}
+
+// Copy one level (keeps prototype / array-ness) so it can be changed safely.
+function shallowCopy(value) {
+  if (Array.isArray(value)) return [...value];
+  if (value instanceof Map) return new Map(value);
+  const copy = Object.create(Object.getPrototypeOf(value));
+  for (const key of ownKeys(value)) defineOwn(copy, key, value[key]);
+  return copy;
+}
+
+// Missing containers are created: an array if the next key is a number.
+function set(obj, path, value) {
+  const keys = parsePath(path);
+  if (keys.length === 0) return value;
+  keys.forEach(checkKey);
+  const write = (node, index) => {
+    const key = keys[index];
+    const container = node !== null && typeof node === "object" ? shallowCopy(node) : typeof key === "number" ? [] : {};
+    const child =
+      container instanceof Map ? container.get(key) : Object.prototype.hasOwnProperty.call(container, key) ? container[key] : undefined;
+    const next = index === keys.length - 1 ? value : write(child, index + 1);
+    if (container instanceof Map) container.set(key, next);
+    else container[key] = next;
+    return container;
+  };
+  return write(obj, 0);
+}
+
+// Removes the key (array items are spliced out, later items move up).
+// A path that does not exist returns the object unchanged (same reference).
+function unset(obj, path) {
+  const keys = parsePath(path);
+  if (keys.length === 0 || !has(obj, keys)) return obj;
+  const remove = (node, index) => {
+    const key = keys[index];
+    const copy = shallowCopy(node);
+    if (index === keys.length - 1) {
+      if (copy instanceof Map) copy.delete(key);
+      else if (Array.isArray(copy)) copy.splice(key, 1);
+      else delete copy[key];
+    } else if (copy instanceof Map) copy.set(key, remove(copy.get(key), index + 1));
+    else copy[key] = remove(copy[key], index + 1);
+    return copy;
+  };
+  return remove(obj, 0);
+}
+
+// --------------------------------------------------------
+// 7. diff (JSON Patch)
+// --------------------------------------------------------
+
+// JSON Pointer (RFC 6901): "/" separates, "~" → "~0", "/" → "~1".
+const escapeToken = key => String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+const unescapeToken = token => token.replace(/~1/g, "/").replace(/~0/g, "~");
+
+function toPointer(keys) {
+  return keys.map(k => `/${escapeToken(k)}`).join("");
+}
+
+function fromPointer(pointer) {
+  if (pointer === "") return [];
+  if (!pointer.startsWith("/")) throw new SyntaxError(`JSON Pointer must start with "/", got "${pointer}"`);
+  return pointer.slice(1).split("/").map(unescapeToken);
+}
+
+// Plain objects and arrays are compared key by key; anything else
+// (Dates, Maps, primitives, ...) is replaced as a whole when it differs.
+// Arrays: changed items → replace, extra items → add at the end,
+// missing items → remove from the end backwards (indexes stay valid).
+function diff(before, after, basePath = []) {
+  if (deepEqual(before, after)) return [];
+  const pointer = keys => toPointer([...basePath, ...keys]);
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const ops = [];
+    const common = Math.min(before.length, after.length);
+    for (let i = 0; i < common; i++) ops.push(...diff(before[i], after[i], [...basePath, i]));
+    for (let i = common; i < after.length; i++) ops.push({ op: "add", path: pointer([i]), value: deepClone(after[i]) });
+    for (let i = before.length - 1; i >= common; i--) ops.push({ op: "remove", path: pointer([i]) });
+    return ops;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const ops = [];
+    for (const key of Object.keys(before)) {
+      if (!Object.prototype.hasOwnProperty.call(after, key)) ops.push({ op: "remove", path: pointer([key]) });
+    }
+    for (const key of Object.keys(after)) {
+      if (!Object.prototype.hasOwnProperty.call(before, key)) {
+        ops.push({ op: "add", path: pointer([key]), value: deepClone(after[key]) });
+      } else {
+        ops.push(...diff(before[key], after[key], [...basePath, key]));
+      }
+    }
+    return ops;
+  }
+
+  return [{ op: "replace", path: toPointer(basePath), value: deepClone(after) }];
+}
+
+// Supports add, remove, replace, move, copy and test. Returns a new document;
+// a failing "test" or a missing path throws and the input stays untouched.
+function applyPatch(document, ops) {
+  if (!Array.isArray(ops)) throw new TypeError("Patch must be an array of operations");
+  const resolve = (doc, keys) =>
+    keys.map((key, i) => {
+      const parent = get(doc, keys.slice(0, i));
+      return Array.isArray(parent) && key !== "-" ? Number(key) : key;
+    });
+
+  return ops.reduce((doc, operation, n) => {
+    const { op, path, value, from } = operation;
+    const keys = resolve(doc, fromPointer(path));
+    const parentKeys = keys.slice(0, -1);
+    const last = keys[keys.length - 1];
+    const parent = get(doc, parentKeys);
+    const fail = message => {
+      throw new Error(`Patch operation ${n} (${op} ${path}): ${message}`);
+    };
+
+    switch (op) {
+      case "add": {
+        if (keys.length === 0) return deepClone(value);
+        if (parent === null || typeof parent !== "object") fail("parent does not exist");
+        if (!Array.isArray(parent)) return set(doc, keys, deepClone(value));
+        const index = last === "-" ? parent.length : last;
+        if (!Number.isInteger(index) || index < 0 || index > parent.length) fail(`index ${last} out of range`);
+        const copy = [...parent];
+        copy.splice(index, 0, deepClone(value));
+        return set(doc, parentKeys, copy);
+      }
+      case "remove":
+        if (!has(doc, keys)) fail("path does not exist");
+        return unset(doc, keys);
+      case "replace":
+        if (keys.length && !has(doc, keys)) fail("path does not exist");
+        return set(doc, keys, deepClone(value));
+      case "move":
+      case "copy": {
+        const fromKeys = resolve(doc, fromPointer(from));
+        if (!has(doc, fromKeys)) fail(`from "${from}" does not exist`);
+        const moved = deepClone(get(doc, fromKeys));
+        const base = op === "move" ? unset(doc, fromKeys) : doc;
+        return applyPatch(base, [{ op: "add", path, value: moved }]);
+      }
+      case "test":
+        if (!deepEqual(get(doc, keys), value)) fail("test failed");
+        return doc;
+      default:
+        return fail("unknown operation");
+    }
+  }, document);
+}
+
+module.exports = {
+  flatten,
+  deepClone,
+  deepEqual,
+  deepMerge,
+  ARRAY_STRATEGIES,
+  parsePath,
+  get,
+  has,
+  set,
+  unset,
+  diff,
+  applyPatch,
+  toPointer,
+  fromPointer,
+};
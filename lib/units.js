@@ -0,0 +1,218 @@
+// ========================================================
+// Shared: Unit Conversion Engine
+// ========================================================
+// - Every unit belongs to a DIMENSION (length, mass, temperature...).
+// - Each dimension has one BASE unit (m, kg, K, L, s, B).
+// - A unit is described by how to reach its base:
+//     base = value * factor + offset
+//   Most units only need a factor; temperatures also need an offset.
+// - Converting = go to base, then come back out to the target unit.
+// - Mixing dimensions (metres → kilograms) is rejected with an error.
+// - New units are added with registry.define(...), the core never changes.
+
+// --------------------------------------------------------
+// 1. Registry
+// --------------------------------------------------------
+
+// Significant digits, not decimal places: hides float noise like
+// 86.00000000000006 but keeps tiny results such as 1 ns → 2.77777777778e-13 h.
+const DEFAULT_PRECISION = 12;
+
+function roundTo(value, precision) {
+  if (precision == null || !Number.isFinite(value)) return value;
+  if (!Number.isInteger(precision) || precision < 1 || precision > 100) {
+    throw new RangeError(`precision must be an integer from 1 to 100 (significant digits), got ${precision}`);
+  }
+  return Number(value.toPrecision(precision));
+}
+
+function createRegistry({ precision = DEFAULT_PRECISION } = {}) {
+  const units = new Map();   // symbol → unit
+  const aliases = new Map(); // alias → symbol
+  const settings = { precision };
+
+  // define({ symbol, dimension, factor = 1, offset = 0, aliases = [], name })
+  function define(unit) {
+    const { symbol, dimension, factor = 1, offset = 0, name = symbol } = unit || {};
+    if (!symbol || typeof symbol !== "string") throw new TypeError("Unit needs a string symbol");
+    if (!dimension || typeof dimension !== "string") throw new TypeError(`Unit "${symbol}" needs a dimension`);
+    if (!Number.isFinite(factor) || factor === 0) throw new RangeError(`Unit "${symbol}" has an invalid factor`);
+    if (!Number.isFinite(offset)) throw new RangeError(`Unit "${symbol}" has an invalid offset`);
+
+    const names = [symbol, ...(unit.aliases || [])];
+    for (const alias of names) {
+      if (aliases.has(alias) && aliases.get(alias) !== symbol) {
+        throw new Error(`Unit alias "${alias}" is already used by "${aliases.get(alias)}"`);
+      }
+    }
+
+    units.set(symbol, Object.freeze({ symbol, name, dimension, factor, offset }));
+    names.forEach(alias => aliases.set(alias, symbol));
+    return registry;
+  }
+
+  // Exact alias first, then a case-insensitive match if it is unambiguous
+  // ("KM" → km works). Data symbols are case-sensitive: "Mb" is megaBIT,
+  // not MB, so only spelled-out data names ("Megabyte") match loosely.
+  const caseSensitive = (alias, symbol) => units.get(symbol).dimension === "data" && alias.length < 4;
+
+  function lookup(name) {
+    const key = String(name).trim();
+    if (aliases.has(key)) return units.get(aliases.get(key));
+
+    const lower = key.toLowerCase();
+    const matches = new Set();
+    const strict = new Set();
+    for (const [alias, symbol] of aliases) {
+      if (alias.toLowerCase() !== lower) continue;
+      (caseSensitive(alias, symbol) ? strict : matches).add(symbol);
+    }
+    if (matches.size === 1) return units.get([...matches][0]);
+    if (matches.size > 1) {
+      throw new Error(`Ambiguous unit "${key}": could be ${[...matches].join(", ")}`);
+    }
+    if (strict.size > 0) {
+      throw new Error(`Unknown unit "${key}": data units are case-sensitive (b = bit, B = byte), the unit with these letters is written ${[...strict].join(" or ")}`);
+    }
+    throw new Error(`Unknown unit "${key}"`);
+  }
+
+  function has(name) {
+    try {
+      lookup(name);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function convert(value, from, to, options = {}) {
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      throw new TypeError(`Expected a number to convert, got ${value}`);
+    }
+    const source = lookup(from);
+    const target = lookup(to);
+    if (source.dimension !== target.dimension) {
+      throw new Error(
+        `Cannot convert ${source.dimension} (${source.symbol}) to ${target.dimension} (${target.symbol})`
+      );
+    }
+    const base = value * source.factor + source.offset;
+    const result = (base - target.offset) / target.factor;
+    const digits = "precision" in options ? options.precision : settings.precision;
+    return roundTo(result, digits);
+  }
+
+  // "30 °C to F", "5.5 km in mi", "-40 F -> C"
+  function parse(expression) {
+    const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.+?)\s+(?:to|in|as|->)\s+(.+?)\s*$/i.exec(
+      String(expression)
+    );
+    if (!match) {
+      throw new SyntaxError(`Cannot parse "${expression}", expected e.g. "30 °C to F"`);
+    }
+    const [, value, from, to] = match;
+    return { value: Number(value), from: lookup(from).symbol, to: lookup(to).symbol };
+  }
+
+  function evaluate(expression, options) {
+    const { value, from, to } = parse(expression);
+    return convert(value, from, to, options);
+  }
+
+  function list(dimension) {
+    const all = [...units.values()];
+    return dimension ? all.filter(u => u.dimension === dimension) : all;
+  }
+
+  function setPrecision(digits) {
+    roundTo(0, digits); // validates
+    settings.precision = digits;
+    return registry;
+  }
+
+  const registry = { define, lookup, has, convert, parse, evaluate, list, setPrecision };
+  return registry;
+}
+
+// --------------------------------------------------------
+// 2. Built-in Units
+// --------------------------------------------------------
+
+const BUILT_INS = [
+  // Temperature (base: kelvin)
+  { symbol: "K", name: "kelvin", dimension: "temperature", aliases: ["kelvin"] },
+  { symbol: "°C", name: "celsius", dimension: "temperature", offset: 273.15, aliases: ["C", "celsius", "degC"] },
+  {
+    symbol: "°F", name: "fahrenheit", dimension: "temperature",
+    factor: 5 / 9, offset: 459.67 * 5 / 9, aliases: ["F", "fahrenheit", "degF"],
+  },
+
+  // Length (base: metre)
+  { symbol: "mm", dimension: "length", factor: 0.001, aliases: ["millimetre", "millimeter"] },
+  { symbol: "cm", dimension: "length", factor: 0.01, aliases: ["centimetre", "centimeter"] },
+  { symbol: "m", dimension: "length", aliases: ["metre", "meter"] },
+  { symbol: "km", dimension: "length", factor: 1000, aliases: ["kilometre", "kilometer"] },
+  { symbol: "in", dimension: "length", factor: 0.0254, aliases: ["inch", "inches", "\""] },
+  { symbol: "ft", dimension: "length", factor: 0.3048, aliases: ["foot", "feet", "'"] },
+  { symbol: "yd", dimension: "length", factor: 0.9144, aliases: ["yard", "yards"] },
+  { symbol: "mi", dimension: "length", factor: 1609.344, aliases: ["mile", "miles"] },
+  { symbol: "nmi", dimension: "length", factor: 1852, aliases: ["nautical mile"] },
+
+  // Mass (base: kilogram)
+  { symbol: "mg", dimension: "mass", factor: 1e-6, aliases: ["milligram"] },
+  { symbol: "g", dimension: "mass", factor: 0.001, aliases: ["gram", "grams"] },
+  { symbol: "kg", dimension: "mass", aliases: ["kilogram", "kilograms"] },
+  { symbol: "t", dimension: "mass", factor: 1000, aliases: ["tonne", "tonnes"] },
+  { symbol: "oz", dimension: "mass", factor: 0.028349523125, aliases: ["ounce", "ounces"] },
+  { symbol: "lb", dimension: "mass", factor: 0.45359237, aliases: ["lbs", "pound", "pounds"] },
+  { symbol: "st", dimension: "mass", factor: 6.35029318, aliases: ["stone"] },
+
+  // Volume (base: litre, US customary units)
+  { symbol: "ml", dimension: "volume", factor: 0.001, aliases: ["mL", "millilitre", "milliliter"] },
+  { symbol: "cl", dimension: "volume", factor: 0.01, aliases: ["cL", "centilitre"] },
+  { symbol: "l", dimension: "volume", aliases: ["L", "litre", "liter", "litres", "liters"] },
+  { symbol: "m3", dimension: "volume", factor: 1000, aliases: ["m³", "cubic metre"] },
+  { symbol: "tsp", dimension: "volume", factor: 0.00492892159375, aliases: ["teaspoon"] },
+  { symbol: "tbsp", dimension: "volume", factor: 0.01478676478125, aliases: ["tablespoon"] },
+  { symbol: "fl oz", dimension: "volume", factor: 0.0295735295625, aliases: ["floz", "fluid ounce"] },
+  { symbol: "cup", dimension: "volume", factor: 0.2365882365, aliases: ["cups"] },
+  { symbol: "pt", dimension: "volume", factor: 0.473176473, aliases: ["pint", "pints"] },
+  { symbol: "qt", dimension: "volume", factor: 0.946352946, aliases: ["quart", "quarts"] },
+  { symbol: "gal", dimension: "volume", factor: 3.785411784, aliases: ["gallon", "gallons"] },
+
+  // Time (base: second)
+  { symbol: "ns", dimension: "time", factor: 1e-9, aliases: ["nanosecond"] },
+  { symbol: "µs", dimension: "time", factor: 1e-6, aliases: ["us", "microsecond"] },
+  { symbol: "ms", dimension: "time", factor: 0.001, aliases: ["millisecond", "milliseconds"] },
+  { symbol: "s", dimension: "time", aliases: ["sec", "second", "seconds"] },
+  { symbol: "min", dimension: "time", factor: 60, aliases: ["minute", "minutes"] },
+  { symbol: "h", dimension: "time", factor: 3600, aliases: ["hr", "hour", "hours"] },
+  { symbol: "d", dimension: "time", factor: 86400, aliases: ["day", "days"] },
+  { symbol: "wk", dimension: "time", factor: 604800, aliases: ["week", "weeks"] },
+
+  // Data (base: byte) → decimal (kB = 1000 B) and binary (KiB = 1024 B)
+  { symbol: "bit", dimension: "data", factor: 1 / 8, aliases: ["b", "bits"] },
+  { symbol: "B", dimension: "data", aliases: ["byte", "bytes"] },
+  { symbol: "kB", dimension: "data", factor: 1e3, aliases: ["KB", "kilobyte"] },
+  { symbol: "MB", dimension: "data", factor: 1e6, aliases: ["megabyte"] },
+  { symbol: "GB", dimension: "data", factor: 1e9, aliases: ["gigabyte"] },
+  { symbol: "TB", dimension: "data", factor: 1e12, aliases: ["terabyte"] },
+  { symbol: "KiB", dimension: "data", factor: 2 ** 10, aliases: ["kibibyte"] },
+  { symbol: "MiB", dimension: "data", factor: 2 ** 20, aliases: ["mebibyte"] },
+  { symbol: "GiB", dimension: "data", factor: 2 ** 30, aliases: ["gibibyte"] },
+  { symbol: "TiB", dimension: "data", factor: 2 ** 40, aliases: ["tebibyte"] },
+];
+
+const units = createRegistry();
+BUILT_INS.forEach(unit => units.define(unit));
+
+module.exports = {
+  createRegistry,
+  BUILT_INS,
+  units,
+  convert: units.convert,
+  parse: units.parse,
+  evaluate: units.evaluate,
+  define: units.define,
+};
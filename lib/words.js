@@ -0,0 +1,172 @@
+// ========================================================
+// Shared: Word Games (pangrams, anagrams, palindromes, ...)
+// ========================================================
+// - Every check works on an ALPHABET, not on ASCII codes 97–122:
+//     en → a–z, de → a–z + ä ö ü ß, es → a–z + ñ, ...
+//   or any custom list of letters.
+// - Text is split into graphemes (lib/strings.js) and lowercased with
+//   the locale. A letter outside the alphabet falls back to its base
+//   letter: "é" counts as "e" in English, but "ä" stays "ä" in German.
+//   Greek final sigma "ς" counts as "σ".
+// - Results are plain objects (missing letters, repeated letters,
+//   counts...) so a UI can highlight exactly what is wrong.
+
+const strings = require("./strings");
+
+// --------------------------------------------------------
+// 1. Alphabets
+// --------------------------------------------------------
+
+const LATIN = "abcdefghijklmnopqrstuvwxyz";
+
+const ALPHABETS = {
+  en: LATIN,
+  de: `${LATIN}äöüß`,
+  es: `${LATIN}ñ`,
+  fr: LATIN,
+  it: LATIN,
+  pt: LATIN,
+  nl: LATIN,
+  sv: `${LATIN}åäö`,
+  da: `${LATIN}æøå`,
+  no: `${LATIN}æøå`,
+  fi: `${LATIN}åäö`,
+  tr: "abcçdefgğhıijklmnoöprsştuüvyz",
+  pl: "aąbcćdeęfghijklłmnńoóprsśtuwyzźż",
+  el: "αβγδεζηθικλμνξοπρστυφχψω",
+  ru: "абвгдеёжзийклмнопрстуфхцчшщъыьэюя",
+};
+
+// Letter forms that are the same letter: ς is σ at the end of a word
+// ("ΣΟΣ" → "σος"), so "σος" is a palindrome and ς is not a 25th letter.
+const LETTER_FORMS = { ς: "σ" };
+
+// alphabet: a string, an array of letters, or a locale code ("de-AT" → "de").
+function resolveAlphabet({ alphabet, locale = "en" } = {}) {
+  if (alphabet !== undefined) {
+    const letters = typeof alphabet === "string" ? strings.graphemes(alphabet) : Array.from(alphabet);
+    if (letters.length === 0) throw new RangeError("Alphabet must not be empty");
+    return letters.map(l => l.toLocaleLowerCase(locale));
+  }
+  const language = String(locale).split(/[-_]/)[0].toLowerCase();
+  if (!ALPHABETS[language]) {
+    throw new RangeError(`No built-in alphabet for "${locale}", pass { alphabet } instead`);
+  }
+  return strings.graphemes(ALPHABETS[language]);
+}
+
+function stripMarks(letter) {
+  return letter.normalize("NFD").replace(/\p{M}+/gu, "").normalize("NFC");
+}
+
+// Text → array of alphabet letters, everything else dropped.
+function lettersOf(text, options = {}) {
+  if (typeof text !== "string") throw new TypeError(`Expected a string, got ${typeof text}`);
+  const locale = options.locale || "en";
+  const alphabet = resolveAlphabet(options);
+  const known = new Set(alphabet);
+  const letters = [];
+  for (const g of strings.graphemes(text.toLocaleLowerCase(locale).normalize("NFC"), locale)) {
+    if (known.has(g)) letters.push(g);
+    else if (known.has(LETTER_FORMS[g])) letters.push(LETTER_FORMS[g]);
+    else if (known.has(stripMarks(g))) letters.push(stripMarks(g));
+  }
+  return { letters, alphabet };
+}
+
+function countLetters(letters) {
+  const counts = new Map();
+  for (const l of letters) counts.set(l, (counts.get(l) || 0) + 1);
+  return counts;
+}
+
+// --------------------------------------------------------
+// 2. Checks
+// --------------------------------------------------------
+
+// { isPangram, missing: ["q", ...], present: [...], alphabet }
+function pangram(text, options) {
+  const { letters, alphabet } = lettersOf(text, options);
+  const seen = new Set(letters);
+  const missing = alphabet.filter(l => !seen.has(l));
+  return {
+    isPangram: missing.length === 0,
+    missing,
+    present: alphabet.filter(l => seen.has(l)),
+    alphabet,
+  };
+}
+
+// Same letters, same counts → anagram. Spaces, case and punctuation are ignored.
+// { isAnagram, extraInFirst: { letter: count }, extraInSecond: { ... } }
+function anagram(first, second, options) {
+  const a = countLetters(lettersOf(first, options).letters);
+  const b = countLetters(lettersOf(second, options).letters);
+  const extraInFirst = {};
+  const extraInSecond = {};
+  for (const letter of new Set([...a.keys(), ...b.keys()])) {
+    const diff = (a.get(letter) || 0) - (b.get(letter) || 0);
+    if (diff > 0) extraInFirst[letter] = diff;
+    if (diff < 0) extraInSecond[letter] = -diff;
+  }
+  const isAnagram =
+    a.size > 0 && Object.keys(extraInFirst).length === 0 && Object.keys(extraInSecond).length === 0;
+  return { isAnagram, extraInFirst, extraInSecond };
+}
+
+// "A man, a plan, a canal: Panama" → true
+// { isPalindrome, normalized, mismatch: { index, left, right } | null }
+function palindrome(text, options) {
+  const { letters } = lettersOf(text, options);
+  for (let i = 0, j = letters.length - 1; i < j; i++, j--) {
+    if (letters[i] !== letters[j]) {
+      return { isPalindrome: false, normalized: letters.join(""), mismatch: { index: i, left: letters[i], right: letters[j] } };
+    }
+  }
+  return { isPalindrome: letters.length > 0, normalized: letters.join(""), mismatch: null };
+}
+
+// No letter appears twice. { isIsogram, repeated: ["l", ...] }
+function isogram(text, options) {
+  const counts = countLetters(lettersOf(text, options).letters);
+  const repeated = [...counts].filter(([, count]) => count > 1).map(([letter]) => letter);
+  return { isIsogram: counts.size > 0 && repeated.length === 0, repeated };
+}
+
+// --------------------------------------------------------
+// 3. Frequency
+// --------------------------------------------------------
+
+// [{ letter, count, ratio }] in alphabet order, zeros included.
+function letterFrequency(text, options) {
+  const { letters, alphabet } = lettersOf(text, options);
+  const counts = countLetters(letters);
+  return alphabet.map(letter => {
+    const count = counts.get(letter) || 0;
+    return { letter, count, ratio: letters.length ? count / letters.length : 0 };
+  });
+}
+
+// Text bar chart of letterFrequency(), the biggest bar is `width` long.
+function histogram(frequency, { width = 40, bar = "█", skipZero = true } = {}) {
+  const rows = skipZero ? frequency.filter(f => f.count > 0) : frequency;
+  const max = Math.max(0, ...rows.map(f => f.count));
+  const countWidth = String(max).length;
+  return rows
+    .map(({ letter, count }) => {
+      const length = max ? Math.round((count / max) * width) : 0;
+      return `${letter} ${String(count).padStart(countWidth)} ${bar.repeat(length)}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  ALPHABETS,
+  lettersOf,
+  pangram,
+  anagram,
+  palindrome,
+  isogram,
+  letterFrequency,
+  histogram,
+};